@@ -0,0 +1,74 @@
+import { useEffect, useRef, useState } from "react";
+
+const LETTERS = ["W", "X", "Y", "Z"];
+
+// Typed answer for the buzz winner when the room uses an answer window:
+// W/X/Y/Z buttons for multiple choice, a text field for short answer.
+// `serverNow` is the current time on the server's clock, which
+// `buzz.answerEndsAt` is measured on. `onSubmit(answer, done)` calls
+// `done(error)` with the server's reply.
+export default function AnswerBox({ buzz, serverNow, onSubmit }) {
+  const [text, setText] = useState("");
+  const [sent, setSent] = useState(null);
+  const [error, setError] = useState("");
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const left = Math.max(0, Math.ceil((buzz.answerEndsAt - serverNow) / 1000));
+
+  const submit = (answer) => {
+    if (!String(answer).trim() || sent) return;
+    setSent(answer);
+    onSubmit(answer, (err) => {
+      if (!err) return;
+      setSent(null);
+      setError(err);
+    });
+  };
+
+  if (sent || buzz.submitted) {
+    return (
+      <div className="buzzpanel answerbox">
+        <div className="buzzline">
+          Your answer: <b>{sent || "sent"}</b> <span className="muted small">— waiting for the ruling</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="buzzpanel answerbox">
+      <div className="buzzline">
+        Your answer <span className={`muted small ${left <= 2 ? "answerbox-hurry" : ""}`}>{left}s</span>
+      </div>
+      {buzz.answerType === "mc" ? (
+        <div className="host-actions">
+          {LETTERS.map((l) => (
+            <button key={l} className="btn" onClick={() => submit(l)}>
+              {l}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div className="host-actions">
+          <input
+            ref={inputRef}
+            className="input"
+            placeholder="Type your answer"
+            value={text}
+            maxLength={200}
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && submit(text)}
+          />
+          <button className="btn" onClick={() => submit(text)} disabled={!text.trim()}>
+            Submit
+          </button>
+        </div>
+      )}
+      {error ? <div className="muted small">{error}</div> : null}
+    </div>
+  );
+}
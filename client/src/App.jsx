@@ -1,28 +1,93 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { io } from "socket.io-client";
+import ChallengeQueue from "./ChallengeQueue.jsx";
+import PlayerModeration from "./PlayerModeration.jsx";
+import ConferralPanel from "./ConferralPanel.jsx";
+import ChatPanel from "./ChatPanel.jsx";
+import Director from "./Director.jsx";
+import ClockControls from "./ClockControls.jsx";
+import OfficialsPanel from "./OfficialsPanel.jsx";
+import TournamentView from "./TournamentView.jsx";
+import Leaderboard from "./Leaderboard.jsx";
+import AnswerBox from "./AnswerBox.jsx";
 
 const SERVER_URL = import.meta.env.VITE_SERVER_URL || "http://127.0.0.1:8787";
 
 const getRoomFromURL = () => {
   const path = window.location.pathname.replace("/", "").trim();
+  if (path.startsWith("t/")) return null;
   return path || null;
 };
 
+// Tournaments live under /t/<ID> (?director=<key> for the director)
+const getTournamentFromURL = () => {
+  const m = window.location.pathname.match(/^\/t\/([A-Za-z0-9]+)/);
+  return m ? m[1].toUpperCase() : null;
+};
+
 const getHostKeyFromURL = () => {
   const u = new URL(window.location.href);
   return u.searchParams.get("host");
 };
 
+const getDirectorKeyFromURL = () => new URL(window.location.href).searchParams.get("director");
+
+const getOfficialKeyFromURL = () => new URL(window.location.href).searchParams.get("official");
+const officialKeyKey = (code) => `sb_official_${code}`;
+
+const roleLabel = (role) => role.charAt(0).toUpperCase() + role.slice(1);
+
+const playerTokenKey = (code) => `sb_player_${code}`;
+
 function msToSec(ms) {
   return Math.max(0, Math.ceil(ms / 1000));
 }
 
+function fmtClock(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function fmtSec(ms) {
+  return ms == null ? "—" : `${(ms / 1000).toFixed(2)}s`;
+}
+
 function teamName(teams, id) {
   return teams.find((t) => t.id === id)?.name || "Unknown";
 }
 
+const RULE_FIELDS = [
+  ["tossupSeconds", "Toss-up seconds"],
+  ["bonusSeconds", "Bonus seconds"],
+  ["tossupPoints", "Toss-up points"],
+  ["bonusPoints", "Bonus points"],
+  ["negPoints", "Neg points"],
+  ["bonusMax", "Bonus cap"],
+  ["halfMinutes", "Half length (min, 0 = none)"],
+  ["tossupsPerHalf", "Toss-ups per half (0 = no limit)"],
+  ["teamCap", "Players per team"],
+  ["activePlayers", "Active players per team"],
+  ["subsHalftimeOnly", "Subs only at halftime (1 = yes)"],
+  ["negDeduct", "Negs deducted from buzzer (1 = yes, 0 = to every other team)"],
+  ["answerSeconds", "Typed answer seconds (0 = spoken answers)"]
+];
+
+function rulesSummary(settings) {
+  if (!settings) return "";
+  const halves = [
+    settings.halfMinutes ? `${settings.halfMinutes} min halves` : null,
+    settings.tossupsPerHalf ? `${settings.tossupsPerHalf} TU/half` : null,
+    settings.answerSeconds ? `${settings.answerSeconds}s typed answers` : null
+  ].filter(Boolean);
+  return [
+    `TU ${settings.tossupPoints} · Bonus ${settings.bonusPoints} (max ${settings.bonusMax}) · Neg ${settings.negPoints}${settings.negDeduct ? " (deducted)" : ""} · ${settings.tossupSeconds}s / ${settings.bonusSeconds}s`,
+    ...halves
+  ].join(" · ");
+}
+
 export default function App() {
   const socketRef = useRef(null);
+  const serverOffsetRef = useRef(0);
 
   // appMode: home | create | join | room
   const [appMode, setAppMode] = useState("home");
@@ -30,8 +95,15 @@ export default function App() {
   const [name, setName] = useState("");
   const [code, setCode] = useState("");
   const [state, setState] = useState(null);
+  const [hostState, setHostState] = useState(null);
+  const [conferral, setConferral] = useState(null);
+  const [chat, setChat] = useState([]);
+  const [notice, setNotice] = useState("");
   const [error, setError] = useState("");
   const [scoreboardOpen, setScoreboardOpen] = useState(true);
+  // Individual rooms: the one player whose P/TU/B columns are open on the scoreboard.
+  const [scoreboardPlayerId, setScoreboardPlayerId] = useState(null);
+  const [statsOpen, setStatsOpen] = useState(false);
 
   const [tick, setTick] = useState(Date.now());
   useEffect(() => {
@@ -108,6 +180,19 @@ export default function App() {
 
   const [socketReady, setSocketReady] = useState(false);
 
+  // Last join_room payload, re-sent whenever the socket (re)connects so a
+  // dropped connection or server restart lands back in the same room.
+  const lastJoinRef = useRef(null);
+  const nameRef = useRef(name);
+  useEffect(() => {
+    nameRef.current = name;
+  }, [name]);
+
+  const joinRoom = (payload) => {
+    lastJoinRef.current = payload;
+    emit("join_room", payload);
+  };
+
   useEffect(() => {
     const s = io(SERVER_URL, {
       transports: ["polling", "websocket"],
@@ -120,13 +205,17 @@ export default function App() {
 
     socketRef.current = s;
 
-    s.on("connect", () => setSocketReady(true));
+    s.on("connect", () => {
+      setSocketReady(true);
+      if (lastJoinRef.current) s.emit("join_room", lastJoinRef.current);
+    });
 
     s.on("room_created", ({ code, hostKey }) => {
       setCode(code);
       setAppMode("room");
 
       if (hostKey) {
+        lastJoinRef.current = { code, name: nameRef.current || "Host", spectate: true, teamId: null, hostKey };
         localStorage.setItem(`sb_hostkey_${code}`, hostKey);
         window.history.replaceState(null, "", `/${code}?host=${hostKey}`);
       } else {
@@ -134,6 +223,43 @@ export default function App() {
       }
     });
 
+    // Seat reclaim token: stored per room and sent with every (re)join.
+    s.on("player_token", ({ code, playerToken }) => {
+      localStorage.setItem(playerTokenKey(code), playerToken);
+      if (lastJoinRef.current?.code === code) lastJoinRef.current = { ...lastJoinRef.current, playerToken };
+    });
+
+    // A banned browser keeps its token: it is what the ban is keyed on, so
+    // the next join from here is refused instead of getting a fresh seat.
+    s.on("kicked", ({ code, banned }) => {
+      if (!banned) localStorage.removeItem(playerTokenKey(code));
+      lastJoinRef.current = null;
+      setState(null);
+      setAppMode("home");
+      window.history.replaceState(null, "", "/");
+      setError(banned ? "You were banned from this room." : "You were removed from the room by the host.");
+      setTimeout(() => setError(""), 5000);
+    });
+
+    // Our official link was revoked: we stay on as a spectator (or, on
+    // joining, not at all).
+    s.on("official_revoked", ({ code }) => {
+      localStorage.removeItem(officialKeyKey(code));
+      if (lastJoinRef.current?.code === code) {
+        const { officialKey: _revoked, ...rest } = lastJoinRef.current;
+        lastJoinRef.current = { ...rest, spectate: true };
+      }
+      window.history.replaceState(null, "", `/${code}`);
+      setNotice("Your official link was revoked.");
+      setTimeout(() => setNotice(""), 5000);
+    });
+
+    s.on("rejoin_failed", ({ code }) => {
+      localStorage.removeItem(playerTokenKey(code));
+      lastJoinRef.current = null;
+      setAppMode("join");
+    });
+
     s.on("state", (st) => {
       setState(st);
 
@@ -142,7 +268,12 @@ export default function App() {
         const storedHostKey = localStorage.getItem(`sb_hostkey_${st.code}`) || null;
 
         const isProbablyHost = hostKeyInUrl === storedHostKey && !!hostKeyInUrl;
-        const desired = isProbablyHost ? `/${st.code}?host=${hostKeyInUrl}` : `/${st.code}`;
+        const officialKey = localStorage.getItem(officialKeyKey(st.code));
+        const desired = isProbablyHost
+          ? `/${st.code}?host=${hostKeyInUrl}`
+          : officialKey
+            ? `/${st.code}?official=${officialKey}`
+            : `/${st.code}`;
 
         if (window.location.pathname + window.location.search !== desired) {
           window.history.replaceState(null, "", desired);
@@ -150,6 +281,42 @@ export default function App() {
       }
     });
 
+    s.on("challenge_result", ({ num, teamName, status, ruling }) => {
+      setError(`Challenge on #${num} (${teamName}) ${status}${ruling ? `: ${ruling}` : ""}`);
+      setTimeout(() => setError(""), 4000);
+    });
+
+    // Clock sync: the server times the round trip; we just report our clock.
+    // Its clock minus ours, late by the trip here, turns server deadlines
+    // into local ones.
+    s.on("clock_sync", ({ serverNow } = {}, ack) => {
+      if (Number.isFinite(serverNow)) serverOffsetRef.current = serverNow - Date.now();
+      if (typeof ack === "function") ack({ clientNow: Date.now() });
+    });
+
+    // Host-only: packet/question text for the reader view
+    s.on("host_state", (hs) => setHostState(hs));
+
+    // Bonus team only: private conferral channel
+    s.on("conferral", (c) => setConferral(c));
+    s.on("conferral_closed", () => setConferral(null));
+
+    // Room chat; system messages also show as a notice
+    s.on("chat_history", ({ messages }) => setChat(messages || []));
+    s.on("chat_message", (m) => {
+      setChat((prev) => [...prev, m].slice(-200));
+      if (m.kind !== "system") return;
+
+      setNotice(m.text);
+      setTimeout(() => setNotice(""), 5000);
+      if (m.event === "room_closed") {
+        lastJoinRef.current = null;
+        setState(null);
+        setAppMode("home");
+        window.history.replaceState(null, "", "/");
+      }
+    });
+
     s.on("error_msg", (msg) => {
       setError(String(msg || "Error"));
       setTimeout(() => setError(""), 3000);
@@ -161,27 +328,60 @@ export default function App() {
     };
   }, []);
 
+  // Rule presets (for create wizard + host lobby). Individual-only presets
+  // are left out of every team-room picker.
+  const [presets, setPresets] = useState([]);
+  useEffect(() => {
+    if (!socketReady) return;
+    socketRef.current?.emit("list_presets", { individual: true }, (resp) => {
+      if (resp?.ok) setPresets(resp.presets || []);
+    });
+  }, [socketReady]);
+  const presetsFor = (individual) => (individual ? presets : presets.filter((p) => !p.individualOnly));
+
   // Auto behavior based on URL
   useEffect(() => {
     if (!socketReady) return;
 
+    const tid = getTournamentFromURL();
+    if (tid) {
+      const key = getDirectorKeyFromURL() || localStorage.getItem(`sb_director_${tid}`);
+      if (key) {
+        setDirector({ id: tid, key });
+        setAppMode("director");
+      } else {
+        setWatchingTournament(tid);
+        setAppMode("tournament_view");
+      }
+      return;
+    }
+
     const c = getRoomFromURL();
     if (!c) return;
 
     const roomCode = c.toUpperCase();
     const hostKey = getHostKeyFromURL();
+    const officialKey = getOfficialKeyFromURL();
 
     setCode(roomCode);
 
-    if (hostKey) {
+    if (officialKey) {
+      localStorage.setItem(officialKeyKey(roomCode), officialKey);
       setAppMode("room");
-      emit("join_room", {
+      joinRoom({ code: roomCode, name: name || "Official", officialKey });
+    } else if (hostKey) {
+      setAppMode("room");
+      joinRoom({
         code: roomCode,
         name: name || "Host",
         spectate: true,
         teamId: null,
         hostKey
       });
+    } else if (localStorage.getItem(playerTokenKey(roomCode))) {
+      // Reload: the server puts us back on our old team under our old name.
+      setAppMode("room");
+      joinRoom({ code: roomCode, playerToken: localStorage.getItem(playerTokenKey(roomCode)) });
     } else {
       setAppMode("join");
     }
@@ -207,24 +407,40 @@ export default function App() {
     prevBuzzAtRef.current = at;
   }, [state?.buzz?.locked, state?.buzz?.at]);
 
+  // ...and when the bonus team says it's ready to answer
+  const bonusReadyAt = state?.bonusReady?.at ?? null;
+  useEffect(() => {
+    if (bonusReadyAt) playBuzzSound();
+  }, [bonusReadyAt]);
+
   const mySocketId = socketRef.current?.id || null;
   const isHost = !!(state && mySocketId && state.hostSocketId === mySocketId);
 
   const teams = state?.teams || [];
   const players = state?.players || [];
-  const phase = state?.phase || "lobby";
-
-  // “Start Toss-Up” should be clickable in lobby/clock-stopped, and also in tossup_closed.
-  const canStartNewTossup = !phase.startsWith("bonus") && (phase === "lobby" || phase === "tossup_closed");
-  // Color it when NOT idle (anything besides lobby/tossup_closed)
-  const startIsActive = !(phase === "lobby" || phase === "tossup_closed");
 
   const me = useMemo(() => {
     if (!mySocketId) return null;
     return players.find((p) => p.socketId === mySocketId) || null;
   }, [players, mySocketId]);
 
+  // Officials get the host panel, trimmed to what their role may do.
+  const myOfficialRole = !isHost ? me?.official || null : null;
+  const isOfficial = isHost || !!myOfficialRole;
+  const can = (permission) => isHost || (!!myOfficialRole && !!hostState?.permissions?.includes(permission));
+
+  const phase = state?.phase || "lobby";
+
+  const matchStopped = phase === "halftime" || phase === "match_over";
+  const questionLive = phase === "tossup_reading" || phase === "tossup_live" || phase.startsWith("bonus");
+
+  // “Start Toss-Up” should be clickable in lobby/clock-stopped, and also in tossup_closed.
+  const canStartNewTossup = !phase.startsWith("bonus") && (phase === "lobby" || phase === "tossup_closed");
+  // Color it when NOT idle (anything besides lobby/tossup_closed)
+  const startIsActive = !(phase === "lobby" || phase === "tossup_closed" || matchStopped);
+
   const lockedTeams = new Set(state?.tossupLockedTeams || []);
+  const tiebreaker = state?.match?.tiebreaker?.active ? state.match.tiebreaker : null;
 
   const timer = state?.timer;
   const remainingSec =
@@ -232,22 +448,40 @@ export default function App() {
       ? msToSec(timer.endsAtMs - tick)
       : msToSec(timer?.remainingMs || 0);
 
+  const gameClock = state?.gameClock;
+  const gameClockMs =
+    gameClock?.running && gameClock?.endsAtMs ? gameClock.endsAtMs - tick : gameClock?.remainingMs || 0;
+
   const canBuzz =
     !!state &&
     !isHost &&
     !me?.isSpectator &&
+    !!me?.active &&
     (phase === "tossup_reading" || phase === "tossup_live") &&
-    !state?.buzz?.locked &&
+    !state.clocksStopped &&
+    !timer?.paused &&
+    state?.buzz?.winnerSocketId !== mySocketId &&
     !!me?.teamId &&
-    !lockedTeams.has(me.teamId);
+    !lockedTeams.has(me.teamId) &&
+    !(tiebreaker?.onlyTied && !tiebreaker.teamIds.includes(me.teamId));
+
+  const bonusTeam = teams.find((t) => t.id === state?.activeBonusTeamId) || null;
+  const canSayReady =
+    phase === "bonus_live" &&
+    !state?.bonusReady &&
+    !!me &&
+    !!bonusTeam &&
+    me.teamId === bonusTeam.id &&
+    (bonusTeam.captainId ? bonusTeam.captainId === me.id : !!me.active);
 
   // spacebar buzz
   useEffect(() => {
     const onKeyDown = (e) => {
       if (e.code !== "Space") return;
       if (!canBuzz) return;
+      if (e.target.closest?.("input, textarea, select")) return;
       e.preventDefault();
-      emit("buzz", { code: state?.code });
+      emit("buzz", { code: state?.code, pressedAt: Date.now() });
     };
     window.addEventListener("keydown", onKeyDown);
     return () => window.removeEventListener("keydown", onKeyDown);
@@ -256,12 +490,31 @@ export default function App() {
   // ---------- Create Wizard ----------
   const [createRoomName, setCreateRoomName] = useState("My Match");
   const [createTeams, setCreateTeams] = useState(2);
+  const [createPreset, setCreatePreset] = useState("nsb_hs");
+  const [createIndividual, setCreateIndividual] = useState(false);
 
   const doCreate = () => {
     emit("create_room", {
       hostName: name || "Host",
       roomName: createRoomName,
-      numTeams: Number(createTeams)
+      numTeams: Number(createTeams),
+      preset: createPreset,
+      individual: createIndividual
+    });
+  };
+
+  // ---------- Tournament ----------
+  const [director, setDirector] = useState(null);
+  const [watchingTournament, setWatchingTournament] = useState(null);
+  const [tournamentName, setTournamentName] = useState("My Tournament");
+
+  const doCreateTournament = () => {
+    socketRef.current?.emit("create_tournament", { name: tournamentName, preset: createPreset }, (resp) => {
+      if (!resp?.ok) return;
+      localStorage.setItem(`sb_director_${resp.id}`, resp.directorKey);
+      window.history.replaceState(null, "", `/t/${resp.id}?director=${resp.directorKey}`);
+      setDirector({ id: resp.id, key: resp.directorKey });
+      setAppMode("director");
     });
   };
 
@@ -286,11 +539,12 @@ export default function App() {
   };
 
   const doJoin = () => {
-    emit("join_room", {
+    joinRoom({
       code,
       name: name || "Player",
       teamId: joinSpectate ? null : joinTeamId,
-      spectate: joinSpectate
+      spectate: joinSpectate,
+      playerToken: localStorage.getItem(playerTokenKey(code)) || undefined
     });
     setAppMode("room");
   };
@@ -302,15 +556,138 @@ export default function App() {
   const doneReadingTossup = () => emit("host_done_reading_tossup", { code: state.code, hostKey });
 
   const resetBuzzer = () => emit("host_clear_buzz", { code: state.code, hostKey });
+  const promoteNextBuzz = () => emit("host_promote_next_buzz", { code: state.code, hostKey });
+  const setAutoPromote = (enabled) => emit("host_set_auto_promote", { code: state.code, enabled, hostKey });
   const chooseInterrupt = (interrupt) =>
     emit("host_set_interrupt_choice", { code: state.code, interrupt, hostKey });
   const markAnswer = (correct) =>
     emit("host_mark_answer", { code: state.code, correct, hostKey });
 
+  const movePlayer = (playerId, teamId) => emit("host_move_player", { code: state.code, playerId, teamId, hostKey });
+  const kickPlayer = (playerId) => emit("host_kick_player", { code: state.code, playerId, hostKey });
+  const banPlayer = (playerId, byIp) => emit("host_ban_player", { code: state.code, playerId, byIp, hostKey });
+  const setMuted = (playerId, muted) => emit("host_mute_player", { code: state.code, playerId, muted, hostKey });
+  const setChatQuiet = (enabled) => emit("host_set_chat_quiet", { code: state.code, enabled, hostKey });
+  const announce = (text) => emit("host_announce", { code: state.code, text, hostKey });
+  const setRoomLocked = (locked) => emit("host_set_room_locked", { code: state.code, locked, hostKey });
+  const clearBans = () => emit("host_clear_bans", { code: state.code, hostKey });
+  const substitute = (outId, inId) => emit("host_substitute", { code: state.code, outId, inId, hostKey });
+  const addOfficial = (role, label) => emit("host_add_official", { code: state.code, role, label, hostKey });
+  const revokeOfficial = (officialId) => emit("host_revoke_official", { code: state.code, officialId, hostKey });
+  const setCaptain = (teamId, playerId) =>
+    isHost
+      ? emit("host_set_captain", { code: state.code, teamId, playerId, hostKey })
+      : emit("choose_captain", { code: state.code, playerId });
+
+  const resolveChallenge = (id, uphold, edits, note) =>
+    emit("host_resolve_challenge", { code: state.code, id, uphold, edits, note, hostKey });
+
+  const undo = () => emit("host_undo", { code: state.code, hostKey });
+  const redo = () => emit("host_redo", { code: state.code, hostKey });
+
+  const startSecondHalf = () => emit("host_start_second_half", { code: state.code, hostKey });
+  const endHalf = () => emit("host_end_half", { code: state.code, hostKey });
+
+  const pauseTimer = () => emit("host_pause_timer", { code: state.code, hostKey });
+  const resumeTimer = () => emit("host_resume_timer", { code: state.code, hostKey });
+  const adjustTimer = (change) => emit("host_adjust_timer", { code: state.code, ...change, hostKey });
+  const adjustGameClock = (change) => emit("host_adjust_game_clock", { code: state.code, ...change, hostKey });
+  const stopAllClocks = (stopped) => emit("host_stop_all_clocks", { code: state.code, stopped, hostKey });
+  const [tbOnlyTied, setTbOnlyTied] = useState(true);
+  const startTiebreaker = () =>
+    emit("host_start_tiebreaker", { code: state.code, onlyTied: tbOnlyTied, hostKey });
+
+  const endMatch = () => {
+    if (confirm("End the match now? Scores become final.")) emit("host_end_match", { code: state.code, hostKey });
+  };
+
   const doneReadingBonus = () => emit("host_done_reading_bonus", { code: state.code, hostKey });
   const awardBonus = (points) => emit("host_award_bonus", { code: state.code, points, hostKey });
+  // Custom rules allow partial bonus credit from 0 up to bonusMax.
+  const [bonusPartial, setBonusPartial] = useState("");
+  const awardPartialBonus = () => {
+    awardBonus(Number(bonusPartial));
+    setBonusPartial("");
+  };
   const skipBonus = () => emit("host_skip_bonus", { code: state.code, hostKey });
 
+  // Rules drafts for host (custom preset edits numbers directly)
+  const settings = state?.settings;
+  const [rulesDraft, setRulesDraft] = useState({});
+  useEffect(() => {
+    if (settings) setRulesDraft(settings);
+  }, [settings]);
+
+  const applyPreset = (preset) =>
+    emit("host_set_rules", { code: state.code, preset, rules: rulesDraft, hostKey });
+
+  // Packet upload (JSON or plain-text/Markdown Science Bowl format)
+  const onPacketFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const content = await file.text();
+    const format = /\.json$/i.test(file.name) ? "json" : "text";
+    socketRef.current?.emit(
+      "host_upload_packet",
+      { code: state.code, content, format, name: file.name.replace(/\.[^.]+$/, ""), hostKey },
+      (resp) => {
+        setError(resp?.ok ? `Loaded ${resp.count} question pairs.` : resp?.error || "Packet upload failed.");
+        setTimeout(() => setError(""), 3000);
+      }
+    );
+  };
+
+  // The host key goes in a header, not the URL, so it never lands in server
+  // logs or browser history. CSV and JSON download; the scoresheet opens in
+  // a tab (opened up front so the popup isn't blocked) for printing.
+  const openExport = async (format) => {
+    const tab = format === "html" ? window.open("", "_blank") : null;
+    try {
+      const res = await fetch(`${SERVER_URL}/rooms/${state.code}/export?format=${format}`, {
+        headers: { "x-host-key": hostKey || "" }
+      });
+      if (!res.ok) throw new Error((await res.text()) || "Export failed.");
+      const url = URL.createObjectURL(await res.blob());
+      if (tab) {
+        tab.location.href = url;
+      } else {
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `scibowl-${state.code}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        a.click();
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      tab?.close();
+      setError(err.message || "Export failed.");
+      setTimeout(() => setError(""), 3000);
+    }
+  };
+
+  const setPacketIndex = (index) => emit("host_set_packet_index", { code: state.code, index, hostKey });
+  const clearPacket = () => emit("host_clear_packet", { code: state.code, hostKey });
+  // Challenges (players on a team)
+  const [announcementDraft, setAnnouncementDraft] = useState("");
+  const [challengeNum, setChallengeNum] = useState("");
+  const [challengeReason, setChallengeReason] = useState("");
+
+  const fileChallenge = () => {
+    socketRef.current?.emit(
+      "file_challenge",
+      { code: state.code, num: Number(challengeNum), reason: challengeReason },
+      (resp) => {
+        setError(resp?.ok ? "Challenge filed." : resp?.error || "Challenge failed.");
+        setTimeout(() => setError(""), 3000);
+        if (resp?.ok) {
+          setChallengeNum("");
+          setChallengeReason("");
+        }
+      }
+    );
+  };
+
   // Done-reading clicked styles
   const [tuDoneClicked, setTuDoneClicked] = useState(false);
   const [bonusDoneClicked, setBonusDoneClicked] = useState(false);
@@ -339,6 +716,21 @@ export default function App() {
     setTeamNameDrafts(d);
   }, [isHost, teams]);
 
+  const addTeam = () => emit("host_add_team", { code: state.code, hostKey });
+  const removeTeam = (team) => {
+    const prompt = state.individual
+      ? `Remove ${team.name} from the standings? Their scores move to the removed log.`
+      : `Remove ${team.name}? Its players become spectators and its scores move to the removed-teams log.`;
+    if (confirm(prompt)) {
+      emit("host_remove_team", { code: state.code, teamId: team.id, hostKey });
+    }
+  };
+  const moveTeam = (index, by) => {
+    const ids = teams.map((t) => t.id);
+    [ids[index], ids[index + by]] = [ids[index + by], ids[index]];
+    emit("host_reorder_teams", { code: state.code, teamIds: ids, hostKey });
+  };
+
   const saveTeamName = (teamId) => {
     const nm = String(teamNameDrafts[teamId] || "").trim();
     if (!nm) return;
@@ -356,12 +748,95 @@ export default function App() {
     return groups;
   }, [teams, players]);
 
+  const spectators = players.filter((p) => p.isSpectator && !p.isHost && !p.official);
+  const officials = players.filter((p) => p.official);
+  // Teams the host can move a spectator to. In individual rooms that's only
+  // their own entry, or a new one if theirs was removed.
+  const seatsFor = (p) =>
+    state?.individual ? [teams.find((t) => t.ownerId === p.id) || { id: "own", name: "Own entry" }] : teams;
+
   const hostPlayer = players.find((p) => p.isHost) || null;
 
+  // Scoreboard cell edits (host) + audit markers (everyone)
+  const [editingCell, setEditingCell] = useState(null);
+  const audit = state?.match?.audit;
+  const editedCells = useMemo(() => {
+    const m = new Map();
+    for (const a of audit || []) {
+      if (!a.field) continue;
+      const k = `${a.num}:${a.teamId}:${a.field}`;
+      if (!m.has(k)) m.set(k, []);
+      m.get(k).push(a);
+    }
+    return m;
+  }, [audit]);
+
+  const saveCell = () => {
+    if (!editingCell) return;
+    const { num, teamId, field, value } = editingCell;
+    setEditingCell(null);
+    if (String(value).trim() === "") return;
+    emit("host_edit_row", { code: state.code, num, teamId, field, value: Number(value), hostKey });
+  };
+
+  // Scoreboard columns per team: P, TU, B and Score, or in individual rooms a
+  // single points column per player unless that player is opened for editing.
+  const scoreColumns = (teamId) => (!state?.individual || scoreboardPlayerId === teamId ? 4 : 1);
+
+  const scoreCell = (row, teamId, field) => {
+    const v = row.teams?.[teamId]?.[field] || 0;
+    const key = `${row.num}:${teamId}:${field}`;
+    const history = editedCells.get(key);
+    const title = history
+      ? history.map((a) => `${a.before} → ${a.after} by ${a.by} at ${new Date(a.at).toLocaleTimeString()}`).join("\n")
+      : can("score")
+        ? "Click to edit"
+        : undefined;
+
+    if (editingCell?.key === key) {
+      return (
+        <td>
+          <input
+            className="cell-input"
+            type="number"
+            min={field === "p" && settings?.negDeduct ? undefined : 0}
+            autoFocus
+            value={editingCell.value}
+            onChange={(e) => setEditingCell((prev) => ({ ...prev, value: e.target.value }))}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") saveCell();
+              if (e.key === "Escape") setEditingCell(null);
+            }}
+            onBlur={saveCell}
+          />
+        </td>
+      );
+    }
+
+    return (
+      <td
+        className={`${history ? "cell-edited" : ""} ${can("score") ? "cell-editable" : ""}`}
+        title={title}
+        onClick={can("score") ? () => setEditingCell({ key, num: row.num, teamId, field, value: String(v) }) : undefined}
+      >
+        {v || ""}
+      </td>
+    );
+  };
+
   const buzzLocked = !!state?.buzz?.locked;
   const winnerSocketId = state?.buzz?.winnerSocketId || null;
   const winnerTeamId = state?.buzz?.winnerTeamId || null;
   const interruptChoice = state?.buzz?.interruptChoice;
+  const buzzQueue = state?.buzzQueue || [];
+  const submission = buzzLocked ? hostState?.submission || null : null;
+  // Typed answers become public once ruled on; show the latest on this toss-up.
+  const lastTyped = (state?.match?.rows?.at(-1)?.buzzes || []).filter((b) => b.answer != null).at(-1) || null;
+
+  const submitAnswer = (answer, done) =>
+    socketRef.current?.emit("submit_answer", { code: state.code, answer }, (resp) =>
+      done(resp?.ok ? null : resp?.error || "Answer not sent.")
+    );
 
   const clockStatus = (() => {
     if (phase === "tossup_live") return "Toss-Up Live";
@@ -369,11 +844,15 @@ export default function App() {
     if (phase === "tossup_closed") return "Toss-Up Closed";
     if (phase === "bonus_live") return "Bonus Live";
     if (phase === "bonus_reading") return "Bonus Reading";
+    if (phase === "halftime") return "Halftime";
+    if (phase === "match_over") return "Match Over";
     return "Clock Stopped";
   })();
 
   const backToHome = () => {
+    lastJoinRef.current = null;
     setState(null);
+    setHostState(null);
     setPeek(null);
     setJoinTeamId("");
     setJoinSpectate(false);
@@ -386,13 +865,27 @@ export default function App() {
     <div className="page">
       <header className="topbar">
         <div className="topbar-left">
-          <div className="timerbox">
+          <div className={`timerbox ${timer?.paused ? "timer-paused" : ""}`}>
             <div className="clock-title">{state ? clockStatus : "Science Bowl"}</div>
             <div className="clock-sub">
               <span className="timerbig">{state ? `${remainingSec}s` : "—"}</span>
-              <span className="muted timersub">({state?.timer?.mode || "stopped"})</span>
+              <span className="muted timersub">
+                ({timer?.paused ? `${timer.mode} · paused` : state?.timer?.mode || "stopped"})
+              </span>
             </div>
           </div>
+
+          {gameClock?.enabled ? (
+            <div className={`timerbox ${gameClock.expired ? "gameclock-expired" : state.clocksStopped ? "timer-paused" : ""}`}>
+              <div className="clock-title">Half {gameClock.half}</div>
+              <div className="clock-sub">
+                <span className="timerbig">{fmtClock(gameClockMs)}</span>
+                <span className="muted timersub">
+                  ({gameClock.expired ? "time" : gameClock.running ? "game clock" : state.clocksStopped ? "paused" : "stopped"})
+                </span>
+              </div>
+            </div>
+          ) : null}
         </div>
 
         <div className="topbar-center">
@@ -428,7 +921,9 @@ export default function App() {
             {state
               ? isHost
                 ? "Official"
-                : me?.isSpectator
+                : myOfficialRole
+                  ? roleLabel(myOfficialRole)
+                  : me?.isSpectator
                   ? "Spectator"
                   : "Player"
               : "—"}
@@ -447,6 +942,7 @@ export default function App() {
       </header>
 
       {error ? <div className="toast">{error}</div> : null}
+      {notice && !error ? <div className="toast toast-notice">{notice}</div> : null}
 
       {appMode === "home" && (
         <div className="card auth">
@@ -469,9 +965,66 @@ export default function App() {
               </button>
             </div>
           </div>
+
+          <div className="panel" style={{ marginTop: 12 }}>
+            <h2>Tournament</h2>
+            <button
+              className="btn btn-soft"
+              onClick={() => {
+                if (!presetsFor(false).some((p) => p.id === createPreset)) setCreatePreset("nsb_hs");
+                setAppMode("tournament_create");
+              }}
+            >
+              Run a Tournament
+            </button>
+          </div>
+        </div>
+      )}
+
+      {appMode === "tournament_create" && (
+        <div className="card auth">
+          <h1 className="title">New Tournament</h1>
+
+          <label className="label">Tournament name</label>
+          <input className="input" value={tournamentName} onChange={(e) => setTournamentName(e.target.value)} />
+
+          <label className="label" style={{ marginTop: 10 }}>Rules for every room</label>
+          <select className="select" value={createPreset} onChange={(e) => setCreatePreset(e.target.value)}>
+            {presetsFor(false).map((p) => (
+              <option key={p.id} value={p.id}>{p.label}</option>
+            ))}
+          </select>
+
+          <div className="host-actions" style={{ marginTop: 12 }}>
+            <button className="btn" onClick={doCreateTournament}>Create</button>
+            <button className="btn btn-soft" onClick={backToHome}>Back</button>
+          </div>
         </div>
       )}
 
+      {appMode === "director" && director && (
+        <Director
+          socket={socketReady ? socketRef.current : null}
+          tournamentId={director.id}
+          directorKey={director.key}
+          onExit={() => {
+            setDirector(null);
+            backToHome();
+          }}
+        />
+      )}
+
+      {appMode === "tournament_view" && watchingTournament && (
+        <TournamentView
+          socket={socketReady ? socketRef.current : null}
+          tournamentId={watchingTournament}
+          onExit={() => {
+            setWatchingTournament(null);
+            backToHome();
+          }}
+        />
+      )}
+
       {appMode === "create" && (
         <div className="card auth">
           <h1 className="title">Create Room</h1>
@@ -487,15 +1040,60 @@ export default function App() {
           <label className="label" style={{ marginTop: 10 }}>Room name</label>
           <input className="input" value={createRoomName} onChange={(e) => setCreateRoomName(e.target.value)} />
 
-          <label className="label" style={{ marginTop: 10 }}>Number of teams (2–8)</label>
-          <input
-            className="input"
-            type="number"
-            min={2}
-            max={8}
-            value={createTeams}
-            onChange={(e) => setCreateTeams(e.target.value)}
-          />
+          <label className="label" style={{ marginTop: 10 }}>Format</label>
+          <div className="host-actions">
+            <button
+              className={`btn ${!createIndividual ? "" : "btn-soft"}`}
+              onClick={() => {
+                setCreateIndividual(false);
+                if (createPreset === "individual") setCreatePreset("nsb_hs");
+              }}
+            >
+              Teams
+            </button>
+            <button
+              className={`btn ${createIndividual ? "" : "btn-soft"}`}
+              onClick={() => {
+                setCreateIndividual(true);
+                setCreatePreset("individual");
+              }}
+            >
+              Every player for themselves
+            </button>
+          </div>
+
+          {createIndividual ? (
+            <div className="muted small" style={{ marginTop: 6 }}>
+              Each player who joins scores on their own.
+            </div>
+          ) : (
+            <>
+              <label className="label" style={{ marginTop: 10 }}>Number of teams (2–8)</label>
+              <input
+                className="input"
+                type="number"
+                min={2}
+                max={8}
+                value={createTeams}
+                onChange={(e) => setCreateTeams(e.target.value)}
+              />
+            </>
+          )}
+
+          <label className="label" style={{ marginTop: 10 }}>Rules</label>
+          <select className="select" value={createPreset} onChange={(e) => setCreatePreset(e.target.value)}>
+            {presetsFor(createIndividual).map((p) => (
+              <option key={p.id} value={p.id}>{p.label}</option>
+            ))}
+          </select>
+          {presets.find((p) => p.id === createPreset) ? (
+            <div className="muted small" style={{ marginTop: 6 }}>
+              {rulesSummary(presets.find((p) => p.id === createPreset))}
+            </div>
+          ) : null}
+          <div className="muted small" style={{ marginTop: 6 }}>
+            You can switch presets or set custom values in the lobby until the first toss-up.
+          </div>
 
           <div className="host-actions" style={{ marginTop: 12 }}>
             <button className="btn" onClick={doCreate}>Create</button>
@@ -537,7 +1135,9 @@ export default function App() {
             </button>
           </div>
 
-          {peek?.teams?.length ? (
+          {peek?.locked ? <div className="muted small" style={{ marginTop: 8 }}>This room is locked.</div> : null}
+
+          {peek?.teams?.length || peek?.individual ? (
             <>
               <div style={{ marginTop: 12 }}>
                 <label className="label">Join mode</label>
@@ -557,7 +1157,11 @@ export default function App() {
                 </div>
               </div>
 
-              {!joinSpectate ? (
+              {!joinSpectate && peek.individual ? (
+                <div className="muted small" style={{ marginTop: 10 }}>
+                  Every player for themselves — you'll score on your own.
+                </div>
+              ) : !joinSpectate ? (
                 <>
                   <label className="label" style={{ marginTop: 10 }}>Choose team</label>
                   <select
@@ -574,7 +1178,7 @@ export default function App() {
               ) : null}
 
               <div className="host-actions" style={{ marginTop: 12 }}>
-                <button className="btn" onClick={doJoin} disabled={!joinSpectate && !joinTeamId}>
+                <button className="btn" onClick={doJoin} disabled={!joinSpectate && !joinTeamId && !peek.individual}>
                   Join
                 </button>
               </div>
@@ -590,64 +1194,188 @@ export default function App() {
         </div>
       )}
 
+      {appMode === "room" && state && phase === "match_over" && state.match?.result ? (
+        <div className="card match-banner">
+          {state.match.result.tie ? (
+            <>Match over — tie between <b>{state.match.result.winnerTeamIds.map((id) => teamName(teams, id)).join(" & ")}</b></>
+          ) : (
+            <>Match over — <b>{teamName(teams, state.match.result.winnerTeamIds[0])}</b> wins</>
+          )}
+        </div>
+      ) : null}
+
+      {appMode === "room" && state?.clocksStopped ? (
+        <div className="card match-banner timer-paused">⏸ All clocks stopped — play is paused</div>
+      ) : null}
+
+      {appMode === "room" && state?.announcement ? (
+        <div className="card match-banner announcement">📣 {state.announcement.text}</div>
+      ) : null}
+
+      {appMode === "room" && state && tiebreaker ? (
+        <div className="card match-banner">
+          Tiebreaker — sudden death, no bonuses
+          {tiebreaker.onlyTied ? (
+            <> · only <b>{tiebreaker.teamIds.map((id) => teamName(teams, id)).join(" & ")}</b> may buzz</>
+          ) : null}
+        </div>
+      ) : null}
+
       {appMode === "room" && state && (
         <main className="main">
           <div className="leftcol">
-            <section
-              className="teams"
-              style={{ gridTemplateColumns: teams.length <= 2 ? undefined : "repeat(2, 1fr)" }}
-            >
-              {teams.map((t) => {
-                const teamPlayers = playersByTeam.get(t.id) || [];
-                const isWinnerTeam = !!winnerTeamId && winnerTeamId === t.id;
-
-                return (
-                  <div key={t.id} className={`teamcard ${isWinnerTeam ? "team-winner" : ""}`}>
-                    <div className="teamcard-header">
-                      <div className="team-title">
-                        {isHost ? (
-                          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-                            <input
-                              className="input"
-                              style={{ padding: "8px 10px", width: 160 }}
-                              value={teamNameDrafts[t.id] ?? t.name}
-                              onChange={(e) =>
-                                setTeamNameDrafts((prev) => ({ ...prev, [t.id]: e.target.value }))
-                              }
-                            />
-                            <button className="btn btn-soft" onClick={() => saveTeamName(t.id)}>Save</button>
+            {state.individual ? (
+              <Leaderboard
+                state={state}
+                mySocketId={mySocketId}
+                isHost={isHost}
+                onRemove={removeTeam}
+                moderation={{ onMove: movePlayer, onKick: kickPlayer, onBan: banPlayer, onMute: setMuted }}
+              />
+            ) : (
+              <>
+                <section
+                  className="teams"
+                  style={{ gridTemplateColumns: teams.length <= 2 ? undefined : "repeat(2, 1fr)" }}
+                >
+                  {teams.map((t, teamIndex) => {
+                    const teamPlayers = playersByTeam.get(t.id) || [];
+                    const isWinnerTeam = !!winnerTeamId && winnerTeamId === t.id;
+
+                    return (
+                      <div key={t.id} className={`teamcard ${isWinnerTeam ? "team-winner" : ""}`}>
+                        <div className="teamcard-header">
+                          <div className="team-title">
+                            {isHost ? (
+                              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                                <input
+                                  className="input"
+                                  style={{ padding: "8px 10px", width: 160 }}
+                                  value={teamNameDrafts[t.id] ?? t.name}
+                                  onChange={(e) =>
+                                    setTeamNameDrafts((prev) => ({ ...prev, [t.id]: e.target.value }))
+                                  }
+                                />
+                                <button className="btn btn-soft" onClick={() => saveTeamName(t.id)}>Save</button>
+                                <button
+                                  className="btn btn-soft btn-sm"
+                                  onClick={() => moveTeam(teamIndex, -1)}
+                                  disabled={teamIndex === 0}
+                                  title="Move earlier"
+                                >
+                                  ◀
+                                </button>
+                                <button
+                                  className="btn btn-soft btn-sm"
+                                  onClick={() => moveTeam(teamIndex, 1)}
+                                  disabled={teamIndex === teams.length - 1}
+                                  title="Move later"
+                                >
+                                  ▶
+                                </button>
+                                <button
+                                  className="btn btn-soft btn-sm"
+                                  onClick={() => removeTeam(t)}
+                                  disabled={teams.length <= state.teamLimits.min}
+                                  title="Remove team (players become spectators)"
+                                >
+                                  ✕
+                                </button>
+                              </div>
+                            ) : (
+                              t.name
+                            )}
                           </div>
-                        ) : (
-                          t.name
-                        )}
-                      </div>
-                      <div className="team-score">{t.score}</div>
-                    </div>
+                          <div className="team-score">{t.score}</div>
+                        </div>
 
-                    <div className="teamcard-body">
-                      <div className="playerlist">
-                        {teamPlayers.length === 0 ? (
-                          <div className="muted small">No players yet</div>
-                        ) : (
-                          teamPlayers.map((p) => {
-                            const isWinner = winnerSocketId && p.socketId === winnerSocketId;
-                            const isYou = p.socketId === mySocketId;
-                            return (
-                              <div key={p.socketId} className={`playerrow ${isWinner ? "player-winner" : ""}`}>
-                                <div className="playername">
-                                  {p.name}{isYou ? <span className="muted"> (you)</span> : null}
-                                </div>
-                                {lockedTeams.has(t.id) ? <div className="locktag">locked</div> : null}
-                              </div>
-                            );
-                          })
-                        )}
+                        <div className="teamcard-body">
+                          <div className="playerlist">
+                            {teamPlayers.length === 0 ? (
+                              <div className="muted small">No players yet</div>
+                            ) : (
+                              teamPlayers.map((p) => {
+                                const isWinner = winnerSocketId && p.socketId === winnerSocketId;
+                                const isYou = p.socketId === mySocketId;
+                                return (
+                                  <div
+                                    key={p.socketId}
+                                    className={`playerrow ${isWinner ? "player-winner" : ""} ${p.connected ? "" : "player-offline"}`}
+                                  >
+                                    <div className="playername">
+                                      {p.name}{isYou ? <span className="muted"> (you)</span> : null}
+                                    </div>
+                                    {!p.connected ? <div className="locktag">offline</div> : null}
+                                    {!p.active ? <div className="locktag">alternate</div> : null}
+                                    {t.captainId === p.id ? (
+                                      <div className="locktag">captain</div>
+                                    ) : isHost || (me?.teamId === t.id && (!t.captainId || t.captainId === me.id)) ? (
+                                      <button className="btn btn-soft btn-sm" onClick={() => setCaptain(t.id, p.id)}>
+                                        Make captain
+                                      </button>
+                                    ) : null}
+                                    {isHost && p.active ? (
+                                      <button className="btn btn-soft btn-sm" onClick={() => substitute(p.id, null)}>
+                                        Bench
+                                      </button>
+                                    ) : null}
+                                    {isHost && !p.active ? (
+                                      <select
+                                        className="select select-sm"
+                                        value=""
+                                        onChange={(e) => substitute(e.target.value === "open" ? null : e.target.value, p.id)}
+                                        title="Substitute in"
+                                      >
+                                        <option value="" disabled>Sub in for…</option>
+                                        {teamPlayers.filter((x) => x.active).map((x) => (
+                                          <option key={x.id} value={x.id}>{x.name}</option>
+                                        ))}
+                                        {teamPlayers.filter((x) => x.active).length < (settings?.activePlayers || Infinity) ? (
+                                          <option value="open">Open slot</option>
+                                        ) : null}
+                                      </select>
+                                    ) : null}
+                                    {isHost ? (
+                                      <PlayerModeration
+                                        player={p}
+                                        teams={teams}
+                                        onMove={movePlayer}
+                                        onKick={kickPlayer}
+                                        onBan={banPlayer}
+                                        onMute={setMuted}
+                                      />
+                                    ) : null}
+                                    {lockedTeams.has(t.id) ? <div className="locktag">locked</div> : null}
+                                  </div>
+                                );
+                              })
+                            )}
+                          </div>
+                        </div>
                       </div>
-                    </div>
+                    );
+                  })}
+                </section>
+
+                {isHost && teams.length < state.teamLimits.max ? (
+                  <div className="host-actions">
+                    <button className="btn btn-soft btn-sm" onClick={addTeam}>+ Add team</button>
                   </div>
-                );
-              })}
-            </section>
+                ) : null}
+              </>
+            )}
+
+            {hostPlayer || officials.length ? (
+              <div className="officials-roster small">
+                <span className="muted">Officials:</span>
+                {hostPlayer ? <span>{hostPlayer.name} <span className="muted">(Host)</span></span> : null}
+                {officials.map((p) => (
+                  <span key={p.socketId}>
+                    {p.name} <span className="muted">({roleLabel(p.official)})</span>
+                  </span>
+                ))}
+              </div>
+            ) : null}
 
             {/* SCOREBOARD under teams */}
             <section className={`scoreboard card ${scoreboardOpen ? "open" : "closed"}`}>
@@ -668,58 +1396,185 @@ export default function App() {
                       <tr>
                         <th className="sticky-col">#</th>
                         {teams.map((t) => (
-                          <th key={t.id} colSpan={4} className="team-group">
-                            {t.name}
+                          <th key={t.id} colSpan={scoreColumns(t.id)} className="team-group">
+                            {state.individual ? (
+                              <button
+                                className="scoreboard-player"
+                                onClick={() => setScoreboardPlayerId((id) => (id === t.id ? null : t.id))}
+                                title={scoreboardPlayerId === t.id ? "Hide P/TU/B" : "Show P/TU/B"}
+                              >
+                                {t.name}
+                              </button>
+                            ) : (
+                              t.name
+                            )}
                           </th>
                         ))}
                       </tr>
                       <tr>
                         <th className="sticky-col subhead"></th>
-                        {teams.map((t) => (
-                          <React.Fragment key={t.id}>
-                            <th className="subhead">P</th>
-                            <th className="subhead">TU</th>
-                            <th className="subhead">B</th>
-                            <th className="subhead">Score</th>
-                          </React.Fragment>
-                        ))}
+                        {teams.map((t) =>
+                          scoreColumns(t.id) === 1 ? (
+                            <th key={t.id} className="subhead">Pts</th>
+                          ) : (
+                            <React.Fragment key={t.id}>
+                              <th className="subhead">P</th>
+                              <th className="subhead">TU</th>
+                              <th className="subhead">B</th>
+                              <th className="subhead">Score</th>
+                            </React.Fragment>
+                          )
+                        )}
                       </tr>
                     </thead>
 
                     <tbody>
-                      {(state.match?.rows || []).map((row) => (
-                        <tr key={row.num}>
-                          <td className="sticky-col rownum">
-                            {row.num}
-                            {isHost ? (
-                              <button
-                                className="btn btn-soft"
-                                style={{ marginLeft: 8, padding: "4px 8px" }}
-                                onClick={() => {
-                                  if (confirm(`Delete toss-up #${row.num}?`)) {
-                                    emit("host_delete_tossup_row", { code: state.code, num: row.num, hostKey });
-                                  }
-                                }}
-                                title="Delete this toss-up"
-                              >
-                                ✕
-                              </button>
-                            ) : null}
-                          </td>
+                      {(state.match?.rows || []).map((row, i, rows) => (
+                        <React.Fragment key={row.num}>
+                          {i > 0 && (row.half !== rows[i - 1].half || !!row.tiebreaker !== !!rows[i - 1].tiebreaker) ? (
+                            <tr className="half-divider">
+                              <td className="sticky-col rownum">{row.tiebreaker ? "Tiebreaker" : `Half ${row.half}`}</td>
+                              <td colSpan={teams.reduce((n, t) => n + scoreColumns(t.id), 0)}></td>
+                            </tr>
+                          ) : null}
+                          <tr>
+                            <td className="sticky-col rownum">
+                              {row.tiebreaker ? `TB${rows.slice(0, i + 1).filter((r) => r.tiebreaker).length}` : row.num}
+                              {can("score") && phase !== "match_over" ? (
+                                <button
+                                  className="btn btn-soft"
+                                  style={{ marginLeft: 8, padding: "4px 8px" }}
+                                  onClick={() => {
+                                    if (confirm(`Delete toss-up #${row.num}?`)) {
+                                      emit("host_delete_tossup_row", { code: state.code, num: row.num, hostKey });
+                                    }
+                                  }}
+                                  title="Delete this toss-up"
+                                >
+                                  ✕
+                                </button>
+                              ) : null}
+                            </td>
+
+                            {teams.map((t) => {
+                              const v = row.teams?.[t.id] || {};
+                              if (scoreColumns(t.id) === 1) {
+                                const pts = Number(v.p || 0) + Number(v.tu || 0) + Number(v.b || 0);
+                                return (
+                                  <td key={t.id} title={`Score: ${v.score ?? 0}`}>
+                                    {pts || ""}
+                                  </td>
+                                );
+                              }
+                              return (
+                                <React.Fragment key={t.id}>
+                                  {scoreCell(row, t.id, "p")}
+                                  {scoreCell(row, t.id, "tu")}
+                                  {scoreCell(row, t.id, "b")}
+                                  <td><b>{v.score ?? 0}</b></td>
+                                </React.Fragment>
+                              );
+                            })}
+                          </tr>
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
 
-                          {teams.map((t) => {
-                            const v = row.teams?.[t.id] || {};
-                            return (
-                              <React.Fragment key={t.id}>
-                                <td>{v.p || ""}</td>
-                                <td>{v.tu || ""}</td>
-                                <td>{v.b || ""}</td>
-                                <td><b>{v.score ?? 0}</b></td>
-                              </React.Fragment>
-                            );
-                          })}
-                        </tr>
+                  {state.match?.removedTeams?.length ? (
+                    <div className="audit-log">
+                      <div className="label">{state.individual ? "Removed players" : "Removed teams"}</div>
+                      {state.match.removedTeams.map((t) => (
+                        <div key={t.id} className="muted small">
+                          {t.name}: {t.score} points, removed after #{t.afterTossup}
+                        </div>
                       ))}
+                    </div>
+                  ) : null}
+
+                  {state.match?.subs?.length ? (
+                    <div className="audit-log">
+                      <div className="label">Substitutions</div>
+                      {state.match.subs.map((sub, i) => (
+                        <div key={i} className="muted small">
+                          After #{sub.afterTossup} {teamName(teams, sub.teamId)}:{" "}
+                          {[sub.inName && `${sub.inName} in`, sub.outName && `${sub.outName} out`].filter(Boolean).join(", ")}
+                        </div>
+                      ))}
+                    </div>
+                  ) : null}
+
+                  {audit?.length ? (
+                    <div className="audit-log">
+                      <div className="label">Edits</div>
+                      {audit.map((a, i) => (
+                        <div key={i} className="muted small">
+                          {a.field ? (
+                            <>
+                              #{a.num} {teamName(teams, a.teamId)} {a.field.toUpperCase()}: {a.before} → {a.after}
+                              {a.action ? ` (${a.action})` : ""}
+                            </>
+                          ) : (
+                            <b>{a.action === "undo" ? "Undo" : "Redo"}: {a.label}</b>
+                          )}{" "}
+                          ({a.by}, {new Date(a.at).toLocaleTimeString()})
+                        </div>
+                      ))}
+                    </div>
+                  ) : null}
+                </div>
+              ) : null}
+            </section>
+
+            <section className={`scoreboard card ${statsOpen ? "open" : "closed"}`}>
+              <button
+                className="scoreboard-toggle"
+                onClick={() => setStatsOpen((v) => !v)}
+                aria-expanded={statsOpen}
+                title="Toggle player stats"
+              >
+                <span>Player Stats</span>
+                <span className="scoreboard-caret">{statsOpen ? "▾" : "▸"}</span>
+              </button>
+
+              {statsOpen ? (
+                <div className="scoreboard-scroll">
+                  <table className="scoreboard-table">
+                    <thead>
+                      <tr>
+                        <th className="sticky-col">Player</th>
+                        <th className="subhead">Team</th>
+                        <th className="subhead">TUH</th>
+                        <th className="subhead">Buzzes</th>
+                        <th className="subhead">Correct</th>
+                        <th className="subhead">Incorrect</th>
+                        <th className="subhead">Negs</th>
+                        <th className="subhead">Avg RT</th>
+                        <th className="subhead">Avg from start</th>
+                        <th className="subhead">Pts</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {(state.stats || []).length === 0 ? (
+                        <tr>
+                          <td colSpan={10} className="muted small">No toss-ups played yet</td>
+                        </tr>
+                      ) : (
+                        state.stats.map((s) => (
+                          <tr key={s.playerKey}>
+                            <td className="sticky-col rownum">{s.name}</td>
+                            <td>{teamName(teams, s.teamId)}</td>
+                            <td>{s.tuh}</td>
+                            <td>{s.buzzes}</td>
+                            <td>{s.correct}</td>
+                            <td>{s.incorrect}</td>
+                            <td>{s.negs}</td>
+                            <td>{fmtSec(s.avgReactionMs)}</td>
+                            <td>{fmtSec(s.avgFromStartMs)}</td>
+                            <td><b>{s.points}</b></td>
+                          </tr>
+                        ))
+                      )}
                     </tbody>
                   </table>
                 </div>
@@ -738,59 +1593,193 @@ export default function App() {
                       setTimeout(() => setBuzzShake(false), 350);
                       return;
                     }
-                    emit("buzz", { code: state?.code });
+                    emit("buzz", { code: state?.code, pressedAt: Date.now() });
                   }}
                   disabled={!canBuzz}
                 >
                   BUZZ <span className="muted small" style={{ marginLeft: 8 }}>(Space)</span>
                 </button>
 
+                {canSayReady ? (
+                  <button className="btn btn-live" onClick={() => emit("bonus_ready", { code: state.code })}>
+                    Ready to answer
+                  </button>
+                ) : null}
+
+                <div className="muted small">
+                  {rulesSummary(settings)}
+                </div>
+
                 <div className="muted small">
                   {phase === "tossup_closed"
                     ? "Buzzing off (time expired)"
                     : phase.startsWith("bonus")
                       ? "Buzzing off (bonus)"
                       : canBuzz
-                        ? "Buzzing on"
+                        ? buzzLocked
+                          ? "Buzz taken (press to queue)"
+                          : "Buzzing on"
                         : me?.isSpectator
                           ? "Spectating (no buzz)"
-                          : "Buzz disabled"}
+                          : me?.teamId && !me.active
+                            ? "Alternate (no buzz)"
+                            : "Buzz disabled"}
                 </div>
               </div>
 
-              {isHost ? (
+              {buzzLocked && state.buzz.answerEndsAt && winnerSocketId === mySocketId ? (
+                <AnswerBox
+                  key={state.buzz.at}
+                  buzz={state.buzz}
+                  serverNow={tick + serverOffsetRef.current}
+                  onSubmit={submitAnswer}
+                />
+              ) : null}
+
+              {buzzLocked && state.buzz.answerEndsAt && winnerSocketId !== mySocketId ? (
+                <div className="muted small">
+                  {state.buzz.winnerName} {state.buzz.submitted ? "has answered" : "is typing an answer…"}
+                </div>
+              ) : null}
+
+              {lastTyped ? (
+                <div className="small">
+                  {lastTyped.playerName} answered <b>{lastTyped.answer ? `“${lastTyped.answer}”` : "nothing in time"}</b> —{" "}
+                  {lastTyped.result}
+                </div>
+              ) : null}
+
+              {buzzQueue.length ? (
+                <div className="buzz-queue small">
+                  <span className="muted">Buzz queue:</span>
+                  {buzzQueue.map((q, i) => (
+                    <span key={i} className="buzz-queue-item">
+                      {i + 1}. {q.name} <span className="muted">({teamName(teams, q.teamId)})</span>
+                    </span>
+                  ))}
+                </div>
+              ) : null}
+
+              {isOfficial ? (
                 <div className="hostbox">
                   <div className="host-actions">
-                    <button
-                      className={`btn ${startIsActive ? "btn-live" : ""}`}
-                      onClick={() => {
-                        setTuDoneClicked(false);
-                        setBonusDoneClicked(false);
-                        startTossup();
-                      }}
-                      disabled={!canStartNewTossup}
-                      title={!canStartNewTossup ? "Finish the current toss-up/bonus first" : "Start a new toss-up"}
-                    >
-                      Start Toss-Up
-                    </button>
+                    {can("read") ? (
+                      <>
+                        <button
+                          className={`btn ${startIsActive ? "btn-live" : ""}`}
+                          onClick={() => {
+                            setTuDoneClicked(false);
+                            setBonusDoneClicked(false);
+                            startTossup();
+                          }}
+                          disabled={!canStartNewTossup}
+                          title={!canStartNewTossup ? "Finish the current toss-up/bonus first" : "Start a new toss-up"}
+                        >
+                          Start Toss-Up
+                        </button>
 
-                    <button
-                      className={`btn btn-soft ${tuDoneClicked ? "btn-done" : ""}`}
-                      onClick={() => {
-                        setTuDoneClicked(true);
-                        onDoneReadingTossup();
-                      }}
-                      disabled={phase.startsWith("bonus") || phase === "lobby"}
-                      title={phase === "lobby" ? "Start a toss-up first" : "Start the 5s timer"}
-                    >
-                      Done Reading Toss-Up
-                    </button>
+                        <button
+                          className={`btn btn-soft ${tuDoneClicked ? "btn-done" : ""}`}
+                          onClick={() => {
+                            setTuDoneClicked(true);
+                            onDoneReadingTossup();
+                          }}
+                          disabled={phase.startsWith("bonus") || phase === "lobby"}
+                          title={phase === "lobby" ? "Start a toss-up first" : `Start the ${settings?.tossupSeconds}s timer`}
+                        >
+                          Done Reading Toss-Up
+                        </button>
+                      </>
+                    ) : null}
 
                     <button className="btn btn-soft" onClick={backToHome} title="Leave to main menu">
                       Main Menu
                     </button>
                   </div>
 
+                  {can("score") ? (
+                    <div className="host-actions">
+                      <button
+                        className="btn btn-soft"
+                        onClick={undo}
+                        disabled={!state.journal?.undoLabel}
+                        title={state.journal?.undoLabel ? `Undo: ${state.journal.undoLabel}` : "Nothing to undo"}
+                      >
+                        ↶ Undo{state.journal?.undoLabel ? ` (${state.journal.undoLabel})` : ""}
+                      </button>
+                      <button
+                        className="btn btn-soft"
+                        onClick={redo}
+                        disabled={!state.journal?.redoLabel}
+                        title={state.journal?.redoLabel ? `Redo: ${state.journal.redoLabel}` : "Nothing to redo"}
+                      >
+                        ↷ Redo{state.journal?.redoLabel ? ` (${state.journal.redoLabel})` : ""}
+                      </button>
+                    </div>
+                  ) : null}
+
+                  {can("clock") ? (
+                    <ClockControls
+                      timer={timer}
+                      gameClock={gameClock}
+                      clocksStopped={!!state.clocksStopped}
+                      onPause={pauseTimer}
+                      onResume={resumeTimer}
+                      onAdjust={adjustTimer}
+                      onAdjustGameClock={adjustGameClock}
+                      onStopAll={stopAllClocks}
+                    />
+                  ) : null}
+
+                  {phase === "halftime" ? (
+                    <div className="buzzpanel">
+                      <div className="buzzline">Halftime</div>
+                      <div className="host-actions">
+                        {can("clock") ? <button className="btn" onClick={startSecondHalf}>Start 2nd Half</button> : null}
+                        {isHost ? <button className="btn btn-soft" onClick={endMatch}>End Match</button> : null}
+                      </div>
+                    </div>
+                  ) : isHost && phase === "match_over" && state.match?.result?.tie ? (
+                    <div className="buzzpanel">
+                      <div className="buzzline">Tied at end of regulation</div>
+                      <div className="host-actions">
+                        <button className="btn" onClick={startTiebreaker}>Start Tiebreaker</button>
+                        <label className="small">
+                          <input type="checkbox" checked={tbOnlyTied} onChange={(e) => setTbOnlyTied(e.target.checked)} />{" "}
+                          Only tied teams may buzz
+                        </label>
+                      </div>
+                    </div>
+                  ) : (phase === "lobby" || phase === "tossup_closed") && !tiebreaker ? (
+                    <div className="host-actions">
+                      {can("clock") ? (
+                        <button className="btn btn-soft" onClick={endHalf}>
+                          {state.gameClock?.half === 1 ? "End 1st Half" : "End 2nd Half"}
+                        </button>
+                      ) : null}
+                      {isHost ? <button className="btn btn-soft" onClick={endMatch}>End Match</button> : null}
+                    </div>
+                  ) : null}
+
+                  {can("read") && !buzzLocked && buzzQueue.length && (phase === "tossup_reading" || phase === "tossup_live") ? (
+                    <div className="host-actions">
+                      <button className="btn" onClick={promoteNextBuzz}>
+                        Call on next: {buzzQueue[0].name}
+                      </button>
+                    </div>
+                  ) : null}
+
+                  {can("read") ? (
+                    <label className="small">
+                      <input
+                        type="checkbox"
+                        checked={!!state.autoPromoteBuzz}
+                        onChange={(e) => setAutoPromote(e.target.checked)}
+                      />{" "}
+                      Auto-call next buzzer after an incorrect answer
+                    </label>
+                  ) : null}
+
                   {buzzLocked ? (
                     <div className="buzzpanel">
                       <div className="buzzline">
@@ -798,9 +1787,62 @@ export default function App() {
                         <span className="muted">({teamName(teams, winnerTeamId)})</span>
                       </div>
 
-                      <button className="btn btn-soft" onClick={resetBuzzer}>Reset Buzzer</button>
+                      {hostState?.arbitration?.raw?.length > 1 ? (
+                        <div className="arbitration small">
+                          {["raw", "corrected"].map((k) => {
+                            const list = hostState.arbitration[k];
+                            const t0 = Math.min(...list.map((c) => (k === "raw" ? c.arrivedAt : c.at)));
+                            return (
+                              <div key={k}>
+                                <div className="muted">{k === "raw" ? "Arrival order" : "Corrected order"}</div>
+                                {list.map((c, i) => (
+                                  <div key={i}>
+                                    {i + 1}. {c.name} <span className="muted">({teamName(teams, c.teamId)})</span>{" "}
+                                    +{(k === "raw" ? c.arrivedAt : c.at) - t0}ms
+                                    {k === "corrected" && c.correctionMs ? (
+                                      <span className="muted"> (−{c.correctionMs}ms)</span>
+                                    ) : null}
+                                  </div>
+                                ))}
+                              </div>
+                            );
+                          })}
+                        </div>
+                      ) : null}
+
+                      {can("read") ? <button className="btn btn-soft" onClick={resetBuzzer}>Reset Buzzer</button> : null}
+                      {state.buzz.promoted ? <span className="muted small"> (promoted from queue)</span> : null}
 
-                      {interruptChoice === null ? (
+                      {submission ? (
+                        <div className="answer-submission">
+                          <div>
+                            Answer: <b>{submission.timedOut ? "(no answer in time)" : submission.answer}</b>
+                          </div>
+                          <div className={`small answer-${submission.suggestion.verdict}`}>
+                            Suggested: <b>{submission.suggestion.verdict}</b> · {submission.suggestion.reason}
+                          </div>
+                          {can("judge") && submission.suggestion.verdict !== "unsure" ? (
+                            <button
+                              className="btn"
+                              onClick={() =>
+                                emit("host_mark_answer", {
+                                  code: state.code,
+                                  correct: submission.suggestion.verdict === "correct",
+                                  interrupt: interruptChoice ?? phase === "tossup_reading",
+                                  hostKey
+                                })
+                              }
+                              title={interruptChoice === null ? `Counts as ${phase === "tossup_reading" ? "an interrupt" : "not an interrupt"}` : undefined}
+                            >
+                              Confirm {submission.suggestion.verdict}
+                            </button>
+                          ) : null}
+                        </div>
+                      ) : state.buzz.answerEndsAt ? (
+                        <div className="muted small">Waiting for the typed answer…</div>
+                      ) : null}
+
+                      {!can("judge") ? null : interruptChoice === null ? (
                         <div className="host-actions">
                           <button className="btn" onClick={() => chooseInterrupt(true)}>Interrupt</button>
                           <button className="btn btn-soft" onClick={() => chooseInterrupt(false)}>Not interrupt</button>
@@ -817,34 +1859,332 @@ export default function App() {
                     </div>
                   ) : null}
 
+
+                  {can("read") ? (
+                    <div className="buzzpanel">
+                      <div className="buzzline">
+                        Packet{hostState?.packet ? `: ${hostState.packet.name}` : ""}
+                      </div>
+
+                      {hostState?.packet ? (
+                        <>
+                          <div className="host-actions">
+                            <button
+                              className="btn btn-soft"
+                              onClick={() => setPacketIndex(hostState.packet.index - 1)}
+                              disabled={hostState.packet.index <= -1}
+                            >
+                              ◀ Prev
+                            </button>
+                            <div className="muted small">
+                              {hostState.packet.index < 0
+                                ? `Next: #1 of ${hostState.packet.count}`
+                                : hostState.packet.index >= hostState.packet.count
+                                  ? "Packet finished"
+                                  : `#${hostState.packet.index + 1} of ${hostState.packet.count}`}
+                            </div>
+                            <button
+                              className="btn btn-soft"
+                              onClick={() => setPacketIndex(hostState.packet.index + 1)}
+                              disabled={hostState.packet.index >= hostState.packet.count - 1}
+                            >
+                              Next ▶
+                            </button>
+                            <button className="btn btn-soft" onClick={clearPacket}>Remove</button>
+                          </div>
+
+                          {(() => {
+                            const q = phase.startsWith("bonus") ? hostState.bonus : hostState.tossup;
+                            if (!q) return null;
+                            return (
+                              <div className="reader">
+                                <div className="reader-head">
+                                  {phase.startsWith("bonus") ? "BONUS" : "TOSS-UP"} · {q.subject || "—"} ·{" "}
+                                  {q.type === "mc" ? "Multiple Choice" : "Short Answer"}
+                                </div>
+                                <div className="reader-text">{q.text}</div>
+                                {q.choices ? (
+                                  <div className="reader-choices">
+                                    {Object.entries(q.choices).map(([l, c]) => (
+                                      <div key={l}>{l}) {c}</div>
+                                    ))}
+                                  </div>
+                                ) : null}
+                                <div className="reader-answer">ANSWER: {q.answer || "—"}</div>
+                              </div>
+                            );
+                          })()}
+                        </>
+                      ) : (
+                        <div className="muted small">Read from paper, or upload a packet (.json, .txt, .md).</div>
+                      )}
+
+                      <label className="btn btn-soft" style={{ marginTop: 10, display: "inline-block" }}>
+                        Upload packet
+                        <input type="file" accept=".json,.txt,.md" onChange={onPacketFile} hidden />
+                      </label>
+                    </div>
+                  ) : null}
+
+                  {can("score") ? (
+                    <ChallengeQueue
+                      challenges={state.match?.challenges || []}
+                      rows={state.match?.rows || []}
+                      teams={teams}
+                      onResolve={resolveChallenge}
+                    />
+                  ) : null}
+
+                  {isHost ? (
+                    <>
+                      <div className="buzzpanel">
+                        <div className="buzzline">Room access</div>
+                        <div className="host-actions">
+                          <label className="small">
+                            <input type="checkbox" checked={!!state.locked} onChange={(e) => setRoomLocked(e.target.checked)} />{" "}
+                            Lock room (no new joins)
+                          </label>
+                          <label className="small">
+                            <input type="checkbox" checked={!!state.chatQuiet} onChange={(e) => setChatQuiet(e.target.checked)} />{" "}
+                            Pause chat during questions
+                          </label>
+                          {state.bannedCount ? (
+                            <button className="btn btn-soft btn-sm" onClick={clearBans}>
+                              Clear {state.bannedCount} ban{state.bannedCount === 1 ? "" : "s"}
+                            </button>
+                          ) : null}
+                        </div>
+                        <div className="muted small">
+                          Ban keeps out the player's browser for this room, but someone who clears their browser
+                          data or switches browsers can rejoin under a new name. Shift+click Ban to also block their IP
+                          address (everyone on that network), or lock the room.
+                        </div>
+
+                        <div className="host-actions" style={{ marginTop: 8 }}>
+                          <input
+                            className="input"
+                            placeholder="Announcement (pinned for everyone)"
+                            value={announcementDraft}
+                            maxLength={300}
+                            onChange={(e) => setAnnouncementDraft(e.target.value)}
+                          />
+                          <button
+                            className="btn btn-soft"
+                            onClick={() => {
+                              announce(announcementDraft);
+                              setAnnouncementDraft("");
+                            }}
+                            disabled={!announcementDraft.trim()}
+                          >
+                            Pin
+                          </button>
+                          {state.announcement ? (
+                            <button className="btn btn-soft" onClick={() => announce("")}>Unpin</button>
+                          ) : null}
+                        </div>
+
+                        {spectators.length ? (
+                          <div className="playerlist" style={{ marginTop: 8 }}>
+                            <div className="muted small">Spectators</div>
+                            {spectators.map((p) => (
+                              <div key={p.socketId} className="playerrow">
+                                <div className="playername">{p.name}</div>
+                                <PlayerModeration
+                                  player={p}
+                                  teams={seatsFor(p)}
+                                  onMove={movePlayer}
+                                  onKick={kickPlayer}
+                                  onBan={banPlayer}
+                                  onMute={setMuted}
+                                />
+                              </div>
+                            ))}
+                          </div>
+                        ) : null}
+                      </div>
+
+                      <div className="buzzpanel">
+                        <div className="buzzline">Export</div>
+                        <div className="host-actions">
+                          <button className="btn btn-soft" onClick={() => openExport("csv")}>CSV</button>
+                          <button className="btn btn-soft" onClick={() => openExport("json")}>JSON</button>
+                          <button className="btn btn-soft" onClick={() => openExport("html")}>Printable scoresheet</button>
+                        </div>
+                      </div>
+
+                      <OfficialsPanel
+                        code={state.code}
+                        officials={hostState?.officials || []}
+                        onAdd={addOfficial}
+                        onRevoke={revokeOfficial}
+                      />
+                    </>
+                  ) : null}
+
+                  {isHost && phase === "lobby" && !state.match?.tossupNumber && !state.match?.rows?.length ? (
+                    <div className="buzzpanel">
+                      <div className="buzzline">Rules</div>
+                      <div className="host-actions">
+                        <select
+                          className="select"
+                          value={settings?.preset || ""}
+                          onChange={(e) => applyPreset(e.target.value)}
+                        >
+                          {presetsFor(state.individual).map((p) => (
+                            <option key={p.id} value={p.id}>{p.label}</option>
+                          ))}
+                          <option value="custom">Custom</option>
+                        </select>
+                      </div>
+
+                      {settings?.preset === "custom" ? (
+                        <>
+                          <div className="rules-grid">
+                            {RULE_FIELDS.map(([field, label]) => (
+                              <label key={field} className="small">
+                                <span className="muted">{label}</span>
+                                <input
+                                  className="input"
+                                  type="number"
+                                  min={0}
+                                  value={rulesDraft[field] ?? ""}
+                                  onChange={(e) => setRulesDraft((prev) => ({ ...prev, [field]: e.target.value }))}
+                                />
+                              </label>
+                            ))}
+                          </div>
+                          <button className="btn btn-soft" onClick={() => applyPreset("custom")}>Save custom rules</button>
+                        </>
+                      ) : null}
+                    </div>
+                  ) : null}
+
                   {phase.startsWith("bonus") ? (
                     <div className="buzzpanel">
                       <div className="buzzline">
                         BONUS for <b>{teamName(teams, state.activeBonusTeamId)}</b>
                       </div>
 
+                      {hostState?.conferral ? (
+                        <ConferralPanel
+                          key={hostState.conferral.num}
+                          conferral={hostState.conferral}
+                          title={`${teamName(teams, hostState.conferral.teamId)} conferral (private)`}
+                          readOnly
+                        />
+                      ) : null}
+
+                      {state.bonusReady ? (
+                        <div className="buzzline">
+                          Ready to answer: <b>{state.bonusReady.name}</b>
+                          {bonusTeam?.captainId === state.bonusReady.playerId ? <span className="muted"> (captain)</span> : null}
+                        </div>
+                      ) : null}
+
+                      <div className="host-actions">
+                        {can("read") ? (
+                          <button
+                            className={`btn ${bonusDoneClicked ? "btn-done" : ""}`}
+                            onClick={() => {
+                              setBonusDoneClicked(true);
+                              onDoneReadingBonus();
+                            }}
+                          >
+                            Done Reading Bonus (start {settings?.bonusSeconds}s)
+                          </button>
+                        ) : null}
+                        {can("judge") ? (
+                          <>
+                            <button className="btn" onClick={() => awardBonus(settings?.bonusPoints)}>Correct</button>
+                            <button className="btn btn-soft" onClick={() => awardBonus(0)}>Incorrect</button>
+                            {settings?.preset === "custom" ? (
+                              <>
+                                <input
+                                  className="input"
+                                  style={{ width: 72 }}
+                                  type="number"
+                                  min={0}
+                                  max={settings.bonusMax}
+                                  placeholder={`0–${settings.bonusMax}`}
+                                  value={bonusPartial}
+                                  onChange={(e) => setBonusPartial(e.target.value)}
+                                  onKeyDown={(e) => e.key === "Enter" && bonusPartial !== "" && awardPartialBonus()}
+                                />
+                                <button className="btn btn-soft" disabled={bonusPartial === ""} onClick={awardPartialBonus}>
+                                  Award
+                                </button>
+                              </>
+                            ) : null}
+                            <button className="btn btn-soft" onClick={skipBonus}>Skip</button>
+                          </>
+                        ) : null}
+                      </div>
+                    </div>
+                  ) : null}
+                </div>
+              ) : (
+                <>
+                  {phase.startsWith("bonus") &&
+                  conferral &&
+                  conferral.teamId === me?.teamId &&
+                  conferral.teamId === state.activeBonusTeamId &&
+                  me?.active ? (
+                    <ConferralPanel
+                      key={conferral.num}
+                      conferral={conferral}
+                      title="Team conferral (only your team and the moderator see this)"
+                      onSend={(text) => emit("team_chat", { code: state.code, text })}
+                      onScratchpad={(text) => emit("team_scratchpad", { code: state.code, text })}
+                    />
+                  ) : null}
+
+                  {me?.teamId && !me?.isSpectator && state.match?.rows?.length ? (
+                    <div className="buzzpanel" style={{ marginTop: 12 }}>
+                      <div className="buzzline">Challenge a ruling</div>
                       <div className="host-actions">
+                        <select className="select" value={challengeNum} onChange={(e) => setChallengeNum(e.target.value)}>
+                          <option value="">Toss-up…</option>
+                          {state.match.rows.map((r) => (
+                            <option key={r.num} value={r.num}>#{r.num}</option>
+                          ))}
+                        </select>
+                        <input
+                          className="input"
+                          placeholder="What should change?"
+                          value={challengeReason}
+                          onChange={(e) => setChallengeReason(e.target.value)}
+                        />
                         <button
-                          className={`btn ${bonusDoneClicked ? "btn-done" : ""}`}
-                          onClick={() => {
-                            setBonusDoneClicked(true);
-                            onDoneReadingBonus();
-                          }}
+                          className="btn btn-soft"
+                          onClick={fileChallenge}
+                          disabled={!challengeNum || !challengeReason.trim()}
                         >
-                          Done Reading Bonus (start 20s)
+                          File
                         </button>
-                        <button className="btn" onClick={() => awardBonus(10)}>Correct</button>
-                        <button className="btn btn-soft" onClick={() => awardBonus(0)}>Incorrect</button>
-                        <button className="btn btn-soft" onClick={skipBonus}>Skip</button>
                       </div>
+                      {(state.match.challenges || [])
+                        .filter((c) => c.teamId === me.teamId)
+                        .map((c) => (
+                          <div key={c.id} className="muted small">
+                            #{c.num}: <b>{c.status}</b>
+                            {c.ruling ? ` — ${c.ruling}` : ""}
+                          </div>
+                        ))}
                     </div>
                   ) : null}
-                </div>
-              ) : (
-                <div className="host-actions" style={{ marginTop: 12 }}>
-                  <button className="btn btn-soft" onClick={backToHome}>Main Menu</button>
-                </div>
+
+                  <div className="host-actions" style={{ marginTop: 12 }}>
+                    <button className="btn btn-soft" onClick={backToHome}>Main Menu</button>
+                  </div>
+                </>
               )}
+
+              <ChatPanel
+                messages={chat}
+                canSend={isOfficial || (!!me && !me.muted && !(state.chatQuiet && questionLive))}
+                disabledReason={me?.muted ? "You have been muted by the host." : "Chat is paused during questions."}
+                onSend={(text) => emit("chat_send", { code: state.code, text })}
+              />
             </div>
           </section>
         </main>
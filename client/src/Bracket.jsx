@@ -0,0 +1,73 @@
+// Elimination bracket drawn as one column per round. The director passes
+// `onOpenRound` and `renderTools` for room controls; the public page doesn't.
+export default function Bracket({ t, onOpenRound, renderTools }) {
+  const name = (id) => t.teams.find((x) => x.id === id)?.name;
+  const seed = (id) => t.bracket.seeds.indexOf(id) + 1;
+
+  const side = (m, i) => {
+    const id = m.teamIds[i];
+    const score = m.result ? m.result.scores[id] : m.live?.scores?.[id];
+    const won = m.result?.winnerId && m.result.winnerId === id;
+    return (
+      <div className={`bracket-team${won ? " bracket-winner" : ""}`}>
+        {id ? (
+          <>
+            <span className="muted small">{seed(id)}</span> {name(id)}
+          </>
+        ) : (
+          <span className="muted">{m.bye ? "bye" : "TBD"}</span>
+        )}
+        <span className="bracket-score">{id ? score ?? "" : ""}</span>
+      </div>
+    );
+  };
+
+  const sides = [
+    ["W", t.bracket.format === "double" ? "Winners bracket" : null],
+    ["L", "Losers bracket"],
+    ["F", null]
+  ];
+
+  return (
+    <>
+      {t.bracket.championId ? <div className="buzzline">🏆 {name(t.bracket.championId)}</div> : null}
+      {sides.map(([key, label]) => {
+        const rounds = t.bracket.rounds.filter((r) => r.side === key);
+        if (!rounds.length) return null;
+        return (
+          <div key={key}>
+            {label ? <div className="small"><b>{label}</b></div> : null}
+            <div className="bracket">
+              {rounds.map((r) => (
+                <div key={r.num} className="bracket-round">
+                  <div className="small">
+                    <b>{r.name}</b>
+                    {onOpenRound && r.matches.some((m) => !m.roomCode && !m.bye && m.teamIds.every(Boolean)) ? (
+                      <button className="btn btn-sm" style={{ marginLeft: 8 }} onClick={() => onOpenRound(r.num)}>
+                        Open rooms
+                      </button>
+                    ) : null}
+                  </div>
+                  {r.matches.map((m) => (
+                    <div key={m.id} className={`bracket-match${m.bye && m.resetOf ? " muted" : ""}`}>
+                      {m.bye && m.resetOf ? (
+                        <div className="small">Not needed</div>
+                      ) : (
+                        <>
+                          {side(m, 0)}
+                          {side(m, 1)}
+                          {m.live && !m.result ? <div className="muted small">Live · TU {m.live.tossupNumber}</div> : null}
+                          {renderTools ? renderTools(m) : null}
+                        </>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </>
+  );
+}
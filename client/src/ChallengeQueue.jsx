@@ -0,0 +1,138 @@
+import { useState } from "react";
+
+const FIELDS = [
+  ["p", "P"],
+  ["tu", "TU"],
+  ["b", "B"]
+];
+
+function teamName(teams, id) {
+  return teams.find((t) => t.id === id)?.name || "Unknown";
+}
+
+// One pending challenge: shows the challenged row and lets the host set the
+// corrected P/TU/B values before upholding.
+function PendingChallenge({ challenge, row, teams, onResolve }) {
+  const [draft, setDraft] = useState(() => {
+    const d = {};
+    for (const t of teams) d[t.id] = { ...(row?.teams?.[t.id] || { p: 0, tu: 0, b: 0 }) };
+    return d;
+  });
+  const [note, setNote] = useState("");
+
+  const edits = () => {
+    const out = [];
+    for (const t of teams) {
+      for (const [f] of FIELDS) {
+        const before = Number(row?.teams?.[t.id]?.[f] || 0);
+        const after = Number(draft[t.id]?.[f] || 0);
+        if (before !== after) out.push({ teamId: t.id, field: f, value: after });
+      }
+    }
+    return out;
+  };
+
+  return (
+    <div className="challenge">
+      <div className="buzzline" style={{ marginBottom: 4 }}>
+        Toss-up #{challenge.num} · {teamName(teams, challenge.teamId)}{" "}
+        <span className="muted small">({challenge.playerName})</span>
+      </div>
+      <div className="small">“{challenge.reason}”</div>
+
+      {row ? (
+        <>
+          {(row.buzzes || []).map((b, i) => (
+            <div key={i} className="muted small">
+              {b.playerName} ({teamName(teams, b.teamId)}): {b.interrupt ? "interrupt, " : ""}
+              {b.result}
+            </div>
+          ))}
+
+          <table className="scoreboard-table challenge-table">
+            <thead>
+              <tr>
+                <th className="subhead">Team</th>
+                {FIELDS.map(([f, label]) => (
+                  <th key={f} className="subhead">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {teams.map((t) => (
+                <tr key={t.id}>
+                  <td>{t.name}</td>
+                  {FIELDS.map(([f]) => (
+                    <td key={f}>
+                      <input
+                        className="cell-input"
+                        type="number"
+                        min={0}
+                        value={draft[t.id]?.[f] ?? 0}
+                        onChange={(e) =>
+                          setDraft((prev) => ({ ...prev, [t.id]: { ...prev[t.id], [f]: e.target.value } }))
+                        }
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      ) : (
+        <div className="muted small">This toss-up row was deleted.</div>
+      )}
+
+      <input
+        className="input"
+        placeholder="Ruling note (optional)"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+      />
+
+      <div className="host-actions" style={{ marginTop: 8 }}>
+        <button className="btn" onClick={() => onResolve(challenge.id, true, edits(), note)}>
+          Uphold{edits().length ? " & apply" : ""}
+        </button>
+        <button className="btn btn-soft" onClick={() => onResolve(challenge.id, false, [], note)}>
+          Reject
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function ChallengeQueue({ challenges, rows, teams, onResolve }) {
+  const pending = challenges.filter((c) => c.status === "pending");
+  const resolved = challenges.filter((c) => c.status !== "pending");
+
+  if (!challenges.length) return null;
+
+  return (
+    <div className="buzzpanel">
+      <div className="buzzline">Challenges ({pending.length} pending)</div>
+
+      {pending.map((c) => (
+        <PendingChallenge
+          key={c.id}
+          challenge={c}
+          row={rows.find((r) => r.num === c.num)}
+          teams={teams}
+          onResolve={onResolve}
+        />
+      ))}
+
+      {resolved.length ? (
+        <div style={{ marginTop: 8 }}>
+          {resolved.map((c) => (
+            <div key={c.id} className="muted small">
+              #{c.num} {teamName(teams, c.teamId)}: <b>{c.status}</b>
+              {c.ruling ? ` — ${c.ruling}` : ""}
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import { useState } from "react";
+
+// Room chat. Announcements and system notices are styled apart from chat so
+// they stand out in the scrollback.
+export default function ChatPanel({ messages, canSend, disabledReason, onSend }) {
+  const [draft, setDraft] = useState("");
+
+  const send = () => {
+    if (!draft.trim()) return;
+    onSend(draft);
+    setDraft("");
+  };
+
+  return (
+    <div className="buzzpanel chat">
+      <div className="buzzline">Chat</div>
+
+      <div className="chat-log">
+        {messages.length === 0 ? <div className="muted small">No messages yet.</div> : null}
+        {messages.map((m) =>
+          m.kind === "chat" ? (
+            <div key={m.id} className="small">
+              <b>{m.name}{m.isHost ? " (host)" : m.official ? ` (${m.official})` : ""}:</b> {m.text}
+            </div>
+          ) : (
+            <div key={m.id} className={`small chat-${m.kind}`}>
+              {m.kind === "announcement" ? "📣 " : ""}
+              {m.text}
+            </div>
+          )
+        )}
+      </div>
+
+      {canSend ? (
+        <div className="host-actions">
+          <input
+            className="input"
+            placeholder="Message the room"
+            value={draft}
+            maxLength={300}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && send()}
+          />
+          <button className="btn btn-soft" onClick={send}>Send</button>
+        </div>
+      ) : (
+        <div className="muted small">{disabledReason}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { useState } from "react";
+
+// Host clock controls: pause/resume and correct the question timer, nudge
+// the half clock, and stop every clock at once.
+export default function ClockControls({ timer, gameClock, clocksStopped, onPause, onResume, onAdjust, onAdjustGameClock, onStopAll }) {
+  const [setTo, setSetTo] = useState("");
+
+  return (
+    <div className="host-actions">
+      {timer?.paused ? (
+        <button className="btn btn-soft" onClick={onResume} disabled={clocksStopped}>▶ Resume clock</button>
+      ) : (
+        <button className="btn btn-soft" onClick={onPause} disabled={!timer?.running}>⏸ Pause clock</button>
+      )}
+      <button className="btn btn-soft btn-sm" onClick={() => onAdjust({ deltaSeconds: -1 })}>−1s</button>
+      <button className="btn btn-soft btn-sm" onClick={() => onAdjust({ deltaSeconds: 1 })}>+1s</button>
+      <input
+        className="input"
+        type="number"
+        min={0}
+        style={{ width: 70 }}
+        placeholder="sec"
+        value={setTo}
+        onChange={(e) => setSetTo(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key !== "Enter" || setTo === "") return;
+          onAdjust({ seconds: Number(setTo) });
+          setSetTo("");
+        }}
+        title="Set the question clock (Enter)"
+      />
+      {gameClock?.enabled ? (
+        <>
+          <button className="btn btn-soft btn-sm" onClick={() => onAdjustGameClock({ deltaSeconds: -10 })} title="Half clock">
+            Half −10s
+          </button>
+          <button className="btn btn-soft btn-sm" onClick={() => onAdjustGameClock({ deltaSeconds: 10 })} title="Half clock">
+            Half +10s
+          </button>
+        </>
+      ) : null}
+      <button className={`btn ${clocksStopped ? "" : "btn-soft"}`} onClick={() => onStopAll(!clocksStopped)}>
+        {clocksStopped ? "Restart all clocks" : "Stop all clocks"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import { useState } from "react";
+
+// Private bonus conferral for the team on the bonus. The host gets the same
+// view read-only. While you're typing in the scratchpad your own text wins;
+// otherwise it shows the latest shared version.
+export default function ConferralPanel({ conferral, title, readOnly, onSend, onScratchpad }) {
+  const [message, setMessage] = useState("");
+  const [padDraft, setPadDraft] = useState(null);
+
+  const send = () => {
+    if (!message.trim()) return;
+    onSend(message);
+    setMessage("");
+  };
+
+  return (
+    <div className="buzzpanel conferral">
+      <div className="buzzline">{title}</div>
+
+      <div className="conferral-log">
+        {conferral.messages.length === 0 ? (
+          <div className="muted small">No messages yet.</div>
+        ) : (
+          conferral.messages.map((m, i) => (
+            <div key={i} className="small">
+              <b>{m.name}:</b> {m.text}
+            </div>
+          ))
+        )}
+      </div>
+
+      {!readOnly ? (
+        <div className="host-actions">
+          <input
+            className="input"
+            placeholder="Message your team"
+            value={message}
+            maxLength={300}
+            onChange={(e) => setMessage(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && send()}
+          />
+          <button className="btn btn-soft" onClick={send}>Send</button>
+        </div>
+      ) : null}
+
+      <label className="label">Scratchpad</label>
+      <textarea
+        className="input conferral-pad"
+        value={padDraft ?? conferral.scratchpad}
+        readOnly={readOnly}
+        maxLength={2000}
+        onFocus={() => setPadDraft(conferral.scratchpad)}
+        onBlur={() => setPadDraft(null)}
+        onChange={(e) => {
+          setPadDraft(e.target.value);
+          onScratchpad(e.target.value);
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,291 @@
+import { useEffect, useState } from "react";
+import StandingsTable from "./StandingsTable.jsx";
+import Bracket from "./Bracket.jsx";
+
+const PHASE_LABELS = {
+  lobby: "Lobby",
+  tossup_reading: "Toss-up (reading)",
+  tossup_live: "Toss-up (live)",
+  tossup_closed: "Toss-up closed",
+  bonus_reading: "Bonus (reading)",
+  bonus_live: "Bonus (live)",
+  halftime: "Halftime",
+  match_over: "Final"
+};
+
+function teamName(t, id) {
+  return t.teams.find((x) => x.id === id)?.name || "—";
+}
+
+function hostLink(m) {
+  return `${window.location.origin}/${m.roomCode}?host=${m.hostKey}`;
+}
+
+function HostLinkButton({ match }) {
+  return (
+    <button className="btn btn-soft btn-sm" onClick={() => navigator.clipboard?.writeText(hostLink(match))}>
+      Copy host link
+    </button>
+  );
+}
+
+function MatchRow({ t, match, emit }) {
+  const [a, b] = match.teamIds;
+  const live = match.live;
+  const score = (id) => (match.result ? match.result.scores[id] : live?.scores?.[id]);
+  const teamSelect = (slot) => (
+    <select
+      className="select select-sm"
+      value={match.teamIds[slot]}
+      onChange={(e) => {
+        const next = [...match.teamIds];
+        next[slot] = e.target.value;
+        emit("director_assign", { matchId: match.id, teamIds: next });
+      }}
+    >
+      {t.teams.map((x) => (
+        <option key={x.id} value={x.id}>{x.name}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <tr>
+      <td>{t.pools.find((p) => p.id === match.poolId)?.name || ""}</td>
+      <td>
+        {match.roomCode ? teamName(t, a) : teamSelect(0)} <span className="muted">vs</span>{" "}
+        {match.roomCode ? teamName(t, b) : teamSelect(1)}
+      </td>
+      <td>
+        <input
+          className="input cell-input"
+          style={{ width: 120 }}
+          placeholder="Moderator"
+          key={match.moderator}
+          defaultValue={match.moderator}
+          onBlur={(e) => e.target.value !== match.moderator && emit("director_assign", { matchId: match.id, moderator: e.target.value })}
+        />
+      </td>
+      <td>
+        {match.roomCode ? (
+          <>
+            <b>{match.roomCode}</b> <HostLinkButton match={match} />
+          </>
+        ) : (
+          <span className="muted">not open</span>
+        )}
+      </td>
+      <td>
+        {match.result
+          ? "Final"
+          : live
+            ? `${PHASE_LABELS[live.phase] || live.phase} · TU ${live.tossupNumber}${live.hostConnected ? "" : " · no moderator"}`
+            : "—"}
+      </td>
+      <td>
+        {score(a) ?? "–"} : {score(b) ?? "–"}
+      </td>
+    </tr>
+  );
+}
+
+// Tournament director dashboard: teams, pools, rounds with live room status, standings.
+export default function Director({ socket, tournamentId, directorKey, onExit }) {
+  const [t, setT] = useState(null);
+  const [teamDraft, setTeamDraft] = useState("");
+  const [poolCount, setPoolCount] = useState(2);
+  const [bracketFormat, setBracketFormat] = useState("single");
+  const [perPool, setPerPool] = useState(2);
+
+  useEffect(() => {
+    if (!socket) return;
+    const join = () => socket.emit("director_join", { id: tournamentId, directorKey });
+    socket.on("tournament_state", setT);
+    socket.on("connect", join);
+    join();
+    return () => {
+      socket.off("tournament_state", setT);
+      socket.off("connect", join);
+    };
+  }, [socket, tournamentId, directorKey]);
+
+  const emit = (evt, payload) => socket?.emit(evt, { id: tournamentId, directorKey, ...payload });
+
+  if (!t) {
+    return (
+      <div className="card auth" style={{ marginTop: 12 }}>
+        <h2>Loading tournament…</h2>
+      </div>
+    );
+  }
+
+  const started = t.rounds.some((r) => r.matches.some((m) => m.roomCode));
+  const bracketStarted = t.bracket?.rounds.some((r) => r.matches.some((m) => m.roomCode));
+
+  return (
+    <main className="director">
+      <div className="card director-card">
+        <div className="buzzline">
+          {t.name} <span className="muted small">({t.id})</span>
+        </div>
+        <div className="host-actions">
+          <button
+            className="btn btn-soft"
+            onClick={() => navigator.clipboard?.writeText(`${window.location.origin}/t/${t.id}`)}
+            title="Standings and bracket for parents and coaches"
+          >
+            Copy public link
+          </button>
+          <button className="btn btn-soft" onClick={onExit}>Main Menu</button>
+        </div>
+      </div>
+
+      <div className="card director-card">
+        <div className="buzzline">Teams ({t.teams.length})</div>
+        {!t.rounds.length ? (
+          <>
+            <textarea
+              className="input"
+              rows={4}
+              placeholder="One team per line, strongest seed first"
+              value={teamDraft}
+              onChange={(e) => setTeamDraft(e.target.value)}
+            />
+            <div className="host-actions" style={{ marginTop: 8 }}>
+              <button
+                className="btn"
+                disabled={!teamDraft.trim()}
+                onClick={() => {
+                  emit("director_add_teams", { names: teamDraft.split("\n") });
+                  setTeamDraft("");
+                }}
+              >
+                Add teams
+              </button>
+            </div>
+          </>
+        ) : null}
+        <div className="director-teams">
+          {t.teams.map((x, i) => (
+            <div key={x.id} className="playerrow">
+              <div className="playername">
+                {i + 1}. {x.name}
+              </div>
+              {!t.rounds.length ? (
+                <button className="btn btn-soft btn-sm" onClick={() => emit("director_remove_team", { teamId: x.id })}>
+                  Remove
+                </button>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="card director-card">
+        <div className="buzzline">Pools</div>
+        {!started ? (
+          <div className="host-actions">
+            <input
+              className="input"
+              type="number"
+              min={1}
+              style={{ width: 80 }}
+              value={poolCount}
+              onChange={(e) => setPoolCount(e.target.value)}
+            />
+            <button className="btn" onClick={() => emit("director_make_pools", { poolCount: Number(poolCount) })}>
+              {t.pools.length ? "Redraw pools & schedule" : "Draw pools & schedule"}
+            </button>
+          </div>
+        ) : null}
+        {t.pools.map((p) => (
+          <div key={p.id} className="small">
+            <b>{p.name}:</b> {p.teamIds.map((id) => teamName(t, id)).join(", ")}
+          </div>
+        ))}
+      </div>
+
+      {t.rounds.map((r) => (
+        <div key={r.num} className="card director-card">
+          <div className="buzzline">
+            Round {r.num}
+            {r.matches.some((m) => !m.roomCode) ? (
+              <button className="btn btn-sm" style={{ marginLeft: 12 }} onClick={() => emit("director_open_round", { round: r.num })}>
+                Open rooms
+              </button>
+            ) : null}
+          </div>
+          <div className="scoreboard-scroll">
+            <table className="scoreboard-table">
+              <thead>
+                <tr>
+                  <th className="subhead">Pool</th>
+                  <th className="subhead">Match</th>
+                  <th className="subhead">Moderator</th>
+                  <th className="subhead">Room</th>
+                  <th className="subhead">Status</th>
+                  <th className="subhead">Score</th>
+                </tr>
+              </thead>
+              <tbody>
+                {r.matches.map((m) => (
+                  <MatchRow key={m.id} t={t} match={m} emit={emit} />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+
+      <div className="card director-card">
+        <div className="buzzline">Standings</div>
+        <StandingsTable standings={t.standings} />
+      </div>
+
+      {t.rounds.length ? (
+        <div className="card director-card">
+          <div className="buzzline">Bracket</div>
+          {!bracketStarted ? (
+            <div className="host-actions">
+              <select className="select select-sm" value={bracketFormat} onChange={(e) => setBracketFormat(e.target.value)}>
+                <option value="single">Single elimination</option>
+                <option value="double">Double elimination</option>
+              </select>
+              <label className="small">
+                Top{" "}
+                <input
+                  className="input"
+                  type="number"
+                  min={1}
+                  style={{ width: 60 }}
+                  value={perPool}
+                  onChange={(e) => setPerPool(e.target.value)}
+                />{" "}
+                {t.pools.length > 1 ? "per pool" : "teams"}
+              </label>
+              <button
+                className="btn"
+                onClick={() => emit("director_make_bracket", { format: bracketFormat, perPool: Number(perPool) })}
+              >
+                {t.bracket ? "Reseed bracket" : "Seed bracket"}
+              </button>
+            </div>
+          ) : null}
+          {t.bracket ? (
+            <Bracket
+              t={t}
+              onOpenRound={(round) => emit("director_open_bracket_round", { round })}
+              renderTools={(m) =>
+                m.roomCode && !m.result ? (
+                  <div className="small">
+                    <b>{m.roomCode}</b> <HostLinkButton match={m} />
+                  </div>
+                ) : null
+              }
+            />
+          ) : null}
+        </div>
+      ) : null}
+    </main>
+  );
+}
@@ -0,0 +1,87 @@
+import PlayerModeration from "./PlayerModeration.jsx";
+
+// Individual rooms: every player is their own team, so instead of team cards
+// they get one ranked table. Tied scores share a rank.
+export default function Leaderboard({ state, mySocketId, isHost, onRemove, moderation }) {
+  const rows = state.match?.rows || [];
+  const entries = state.teams
+    .map((t) => {
+      const player = state.players.find((p) => p.teamId === t.id && !p.isSpectator) || null;
+      const stats = (state.stats || []).filter((s) => s.teamId === t.id);
+      return {
+        team: t,
+        player,
+        correct: stats.reduce((n, s) => n + s.correct, 0),
+        negs: stats.reduce((n, s) => n + s.negs, 0),
+        bonus: rows.reduce((n, row) => n + Number(row.teams?.[t.id]?.b || 0), 0)
+      };
+    })
+    .sort((a, b) => b.team.score - a.team.score || b.correct - a.correct || a.team.name.localeCompare(b.team.name));
+
+  const locked = new Set(state.tossupLockedTeams || []);
+  const winnerId = state.buzz?.locked ? state.buzz.winnerTeamId : null;
+
+  return (
+    <section className="card leaderboard">
+      <div className="scoreboard-scroll">
+        <table className="scoreboard-table">
+          <thead>
+            <tr>
+              <th className="subhead">#</th>
+              <th className="subhead">Player</th>
+              <th className="subhead">Score</th>
+              <th className="subhead">TU</th>
+              <th className="subhead">Negs</th>
+              <th className="subhead">Bonus</th>
+              <th className="subhead"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="muted small">No players yet</td>
+              </tr>
+            ) : (
+              entries.map((e) => {
+                const rank = entries.findIndex((x) => x.team.score === e.team.score) + 1;
+                const p = e.player;
+                return (
+                  <tr
+                    key={e.team.id}
+                    className={`${winnerId === e.team.id ? "player-winner" : ""} ${p && !p.connected ? "player-offline" : ""}`}
+                  >
+                    <td>{rank}</td>
+                    <td className="leaderboard-name">
+                      {e.team.name}
+                      {p?.socketId === mySocketId ? <span className="muted"> (you)</span> : null}
+                      {!p ? <span className="locktag">left</span> : !p.connected ? <span className="locktag">offline</span> : null}
+                      {locked.has(e.team.id) ? <span className="locktag">locked</span> : null}
+                    </td>
+                    <td><b>{e.team.score}</b></td>
+                    <td>{e.correct}</td>
+                    <td>{e.negs}</td>
+                    <td>{e.bonus}</td>
+                    <td>
+                      {isHost ? (
+                        <div className="player-mod">
+                          {p ? <PlayerModeration player={p} teams={[e.team]} {...moderation} /> : null}
+                          <button
+                            className="btn btn-soft btn-sm"
+                            onClick={() => onRemove(e.team)}
+                            title="Remove from the standings (scores are archived)"
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      ) : null}
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
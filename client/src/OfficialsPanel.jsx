@@ -0,0 +1,70 @@
+import { useState } from "react";
+
+const OFFICIAL_ROLE_LABELS = {
+  reader: "Reader",
+  scorekeeper: "Scorekeeper",
+  timekeeper: "Timekeeper"
+};
+
+const ROLE_HELP = {
+  reader: "runs toss-ups/bonuses and rules on answers",
+  scorekeeper: "rules on answers, edits the scoresheet, undo",
+  timekeeper: "clocks and halves only"
+};
+
+// Host-only: mint, share and revoke official links.
+export default function OfficialsPanel({ code, officials, onAdd, onRevoke }) {
+  const [role, setRole] = useState("scorekeeper");
+  const [label, setLabel] = useState("");
+  const link = (o) => `${window.location.origin}/${code}?official=${o.key}`;
+
+  return (
+    <div className="buzzpanel">
+      <div className="buzzline">Officials</div>
+      <div className="host-actions">
+        <select className="select select-sm" value={role} onChange={(e) => setRole(e.target.value)}>
+          {Object.entries(OFFICIAL_ROLE_LABELS).map(([id, name]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+        <input
+          className="input"
+          style={{ width: 160 }}
+          placeholder="Label (optional)"
+          value={label}
+          maxLength={40}
+          onChange={(e) => setLabel(e.target.value)}
+        />
+        <button
+          className="btn btn-soft"
+          onClick={() => {
+            onAdd(role, label);
+            setLabel("");
+          }}
+        >
+          Add official link
+        </button>
+      </div>
+      <div className="muted small">{OFFICIAL_ROLE_LABELS[role]}: {ROLE_HELP[role]}.</div>
+
+      {officials.map((o) => (
+        <div key={o.id} className="playerrow">
+          <div className="playername">
+            {o.label} <span className="muted small">({OFFICIAL_ROLE_LABELS[o.role]})</span>
+            {o.connected.length ? (
+              <span className="small"> · {o.connected.join(", ")}</span>
+            ) : (
+              <span className="muted small"> · not connected</span>
+            )}
+          </div>
+          <div className="player-mod">
+            <button className="btn btn-soft btn-sm" onClick={() => navigator.clipboard?.writeText(link(o))}>
+              Copy link
+            </button>
+            <button className="btn btn-soft btn-sm" onClick={() => onRevoke(o.id)}>Revoke</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
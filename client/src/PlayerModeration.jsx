@@ -0,0 +1,32 @@
+// Host-only controls shown next to a player: move to a team (or spectators),
+// mute in chat, kick, and ban.
+export default function PlayerModeration({ player, teams, onMove, onMute, onKick, onBan }) {
+  return (
+    <div className="player-mod">
+      <select
+        className="select select-sm"
+        value={player.teamId || ""}
+        onChange={(e) => onMove(player.id, e.target.value || null)}
+        title="Move player"
+      >
+        {teams.map((t) => (
+          <option key={t.id} value={t.id}>{t.name}</option>
+        ))}
+        <option value="">Spectators</option>
+      </select>
+      <button className="btn btn-soft btn-sm" onClick={() => onMute(player.id, !player.muted)}>
+        {player.muted ? "Unmute" : "Mute"}
+      </button>
+      <button className="btn btn-soft btn-sm" onClick={() => onKick(player.id)} title="Remove from room">
+        Kick
+      </button>
+      <button
+        className="btn btn-soft btn-sm"
+        onClick={(e) => onBan(player.id, e.shiftKey)}
+        title="Remove and keep this browser out (Shift+click also bans their IP)"
+      >
+        Ban
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+// Pool standings, one table per pool. Rows arrive already ranked by the
+// server (record, head-to-head, points per game, points allowed).
+export default function StandingsTable({ standings }) {
+  return (
+    <>
+      {standings.map((pool) => (
+        <div key={pool.poolId || "all"} className="scoreboard-scroll">
+          {standings.length > 1 ? <div className="small"><b>{pool.name}</b></div> : null}
+          <table className="scoreboard-table">
+            <thead>
+              <tr>
+                <th className="subhead">#</th>
+                <th className="subhead">Team</th>
+                <th className="subhead">W</th>
+                <th className="subhead">L</th>
+                <th className="subhead">T</th>
+                <th className="subhead">PPG</th>
+                <th className="subhead">PF</th>
+                <th className="subhead">PA</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pool.rows.map((s) => (
+                <tr key={s.teamId}>
+                  <td>{s.rank}</td>
+                  <td>{s.name}</td>
+                  <td>{s.wins}</td>
+                  <td>{s.losses}</td>
+                  <td>{s.ties}</td>
+                  <td>{s.played ? (s.pointsFor / s.played).toFixed(1) : "–"}</td>
+                  <td>{s.pointsFor}</td>
+                  <td>{s.pointsAgainst}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </>
+  );
+}
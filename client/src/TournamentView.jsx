@@ -0,0 +1,73 @@
+import { useEffect, useState } from "react";
+import StandingsTable from "./StandingsTable.jsx";
+import Bracket from "./Bracket.jsx";
+
+// Public, read-only tournament page (/t/<ID>) for parents and coaches.
+export default function TournamentView({ socket, tournamentId, onExit }) {
+  const [t, setT] = useState(null);
+
+  useEffect(() => {
+    if (!socket) return;
+    const watch = () => socket.emit("watch_tournament", { id: tournamentId });
+    socket.on("tournament_public", setT);
+    socket.on("connect", watch);
+    watch();
+    return () => {
+      socket.off("tournament_public", setT);
+      socket.off("connect", watch);
+    };
+  }, [socket, tournamentId]);
+
+  if (!t) {
+    return (
+      <div className="card auth" style={{ marginTop: 12 }}>
+        <h2>Loading tournament…</h2>
+        <button className="btn btn-soft" onClick={onExit}>Main Menu</button>
+      </div>
+    );
+  }
+
+  const name = (id) => t.teams.find((x) => x.id === id)?.name || "—";
+
+  return (
+    <main className="director">
+      <div className="card director-card">
+        <div className="buzzline">{t.name}</div>
+        <div className="host-actions">
+          <button className="btn btn-soft" onClick={onExit}>Main Menu</button>
+        </div>
+      </div>
+
+      {t.bracket ? (
+        <div className="card director-card">
+          <div className="buzzline">Bracket</div>
+          <Bracket t={t} />
+        </div>
+      ) : null}
+
+      <div className="card director-card">
+        <div className="buzzline">Standings</div>
+        <StandingsTable standings={t.standings} />
+      </div>
+
+      {t.rounds.length ? (
+        <div className="card director-card">
+          <div className="buzzline">Pool games</div>
+          {t.rounds.map((r) => (
+            <div key={r.num} className="small">
+              <b>Round {r.num}:</b>{" "}
+              {r.matches
+                .map((m) => {
+                  const [a, b] = m.teamIds;
+                  const s = m.result?.scores || m.live?.scores;
+                  const score = s ? ` ${s[a] ?? 0}–${s[b] ?? 0}${m.result ? "" : " (live)"}` : "";
+                  return `${name(a)} v ${name(b)}${score}`;
+                })
+                .join(" · ")}
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </main>
+  );
+}
@@ -0,0 +1,192 @@
+import { playerStats } from "./stats.js";
+
+/* ---------------- Match export ----------------
+ * Everything here reads the room; nothing mutates it. Teams are listed in
+ * room order so columns line up with the in-app scoreboard.
+ */
+
+function teamList(room) {
+  return [...room.teams.values()].map((t) => ({ id: t.id, name: t.name, score: t.score }));
+}
+
+// Tiebreaker toss-ups are numbered separately (TB1, TB2, ...).
+function rowLabels(rows) {
+  let tb = 0;
+  return rows.map((row) => (row.tiebreaker ? `TB${++tb}` : String(row.num)));
+}
+
+function playerEvents(room) {
+  const out = [];
+  for (const row of room.match?.rows || []) {
+    for (const b of row.buzzes || []) out.push({ tossup: row.num, ...b });
+  }
+  return out;
+}
+
+export function exportJson(room) {
+  return {
+    code: room.code,
+    roomName: room.roomName,
+    exportedAt: new Date().toISOString(),
+    settings: room.settings,
+    teams: teamList(room),
+    rows: (room.match?.rows || []).map((row) => ({ num: row.num, teams: row.teams })),
+    events: playerEvents(room),
+    substitutions: room.match?.subs || [],
+    removedTeams: room.match?.removedTeams || [],
+    conferrals: room.conferralArchive || [],
+    stats: playerStats(room.match)
+  };
+}
+
+/* ---- CSV ---- */
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const csvLine = (cells) => cells.map(csvCell).join(",");
+
+// Teams removed mid-match keep their name in the logs.
+function teamName(room, id) {
+  return room.teams.get(id)?.name || room.match?.removedTeams?.find((t) => t.id === id)?.name || "";
+}
+
+export function exportCsv(room) {
+  const teams = teamList(room);
+  const lines = [];
+
+  lines.push(csvLine(["Toss-up log"]));
+  lines.push(csvLine(["TU", ...teams.flatMap((t) => [`${t.name} P`, `${t.name} TU`, `${t.name} B`, `${t.name} Score`])]));
+  const rows = room.match?.rows || [];
+  const labels = rowLabels(rows);
+  rows.forEach((row, i) => {
+    lines.push(
+      csvLine([
+        labels[i],
+        ...teams.flatMap((t) => {
+          const v = row.teams?.[t.id] || {};
+          return [v.p || 0, v.tu || 0, v.b || 0, v.score ?? 0];
+        })
+      ])
+    );
+  });
+
+  lines.push("");
+  lines.push(csvLine(["Final scores"]));
+  lines.push(csvLine(["Team", "Score"]));
+  for (const t of teams) lines.push(csvLine([t.name, t.score]));
+
+  const removed = room.match?.removedTeams || [];
+  if (removed.length) {
+    lines.push("");
+    lines.push(csvLine(["Removed teams"]));
+    lines.push(csvLine(["Team", "Score", "After TU"]));
+    for (const t of removed) lines.push(csvLine([t.name, t.score, t.afterTossup]));
+  }
+
+  lines.push("");
+  lines.push(csvLine(["Player events"]));
+  lines.push(csvLine(["TU", "Player", "Team", "Interrupt", "Result", "Points", "From start (ms)", "From end (ms)", "Typed answer"]));
+  for (const e of playerEvents(room)) {
+    lines.push(
+      csvLine([e.tossup, e.playerName, teamName(room, e.teamId), e.interrupt ? "yes" : "no", e.result, e.points, e.fromStartMs, e.fromEndMs, e.answer ?? ""])
+    );
+  }
+
+  const subs = room.match?.subs || [];
+  if (subs.length) {
+    lines.push("");
+    lines.push(csvLine(["Substitutions"]));
+    lines.push(csvLine(["After TU", "Half", "Team", "Out", "In"]));
+    for (const sub of subs) {
+      lines.push(csvLine([sub.afterTossup, sub.half, teamName(room, sub.teamId), sub.outName || "", sub.inName || ""]));
+    }
+  }
+
+  lines.push("");
+  lines.push(csvLine(["Player stats"]));
+  lines.push(csvLine(["Player", "Team", "TUH", "Buzzes", "Correct", "Incorrect", "Negs", "Avg RT (ms)", "Points"]));
+  for (const s of playerStats(room.match)) {
+    lines.push(
+      csvLine([s.name, teamName(room, s.teamId), s.tuh, s.buzzes, s.correct, s.incorrect, s.negs, s.avgReactionMs, s.points])
+    );
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/* ---- Printable scoresheet (laid out like the NSB paper sheet) ---- */
+function esc(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+export function scoresheetHtml(room) {
+  const teams = teamList(room);
+  const rows = room.match?.rows || [];
+  const labels = rowLabels(rows);
+  const date = new Date().toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+
+  const head1 = teams.map((t) => `<th colspan="4">${esc(t.name)}</th>`).join("");
+  const head2 = teams.map(() => "<th>TU</th><th>Bonus</th><th>Penalty</th><th>Total</th>").join("");
+
+  const body = rows
+    .map((row, i) => {
+      const cells = teams
+        .map((t) => {
+          const v = row.teams?.[t.id] || {};
+          return `<td>${v.tu || ""}</td><td>${v.b || ""}</td><td>${v.p || ""}</td><td class="total">${v.score ?? 0}</td>`;
+        })
+        .join("");
+      return `<tr><td class="num">${labels[i]}</td>${cells}</tr>`;
+    })
+    .join("\n");
+
+  const finals = teams.map((t) => `<td colspan="3">Final</td><td class="total">${t.score}</td>`).join("");
+  const sigs = ["Moderator", "Scientific Judge", "Scorekeeper", "Timekeeper", ...teams.map((t) => `${t.name} Captain`)]
+    .map((s) => `<div class="sig"><span></span>${esc(s)}</div>`)
+    .join("");
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Scoresheet — ${esc(room.roomName)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; margin: 24px; color: #000; }
+  h1 { font-size: 20px; margin: 0 0 4px; text-align: center; text-transform: uppercase; }
+  .meta { display: flex; justify-content: space-between; font-size: 13px; margin-bottom: 12px; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid #000; padding: 4px; text-align: center; }
+  th { background: #eee; }
+  td.num { font-weight: bold; width: 32px; }
+  td.total { font-weight: bold; }
+  .sigs { display: grid; grid-template-columns: repeat(2, 1fr); gap: 24px 48px; margin-top: 36px; font-size: 12px; }
+  .sig span { display: block; border-bottom: 1px solid #000; height: 24px; margin-bottom: 4px; }
+  .rules { font-size: 11px; margin-top: 8px; }
+  @media print { body { margin: 0; } button { display: none; } }
+</style>
+</head>
+<body>
+<button onclick="window.print()">Print</button>
+<h1>Science Bowl Official Scoresheet</h1>
+<div class="meta">
+  <div>Room: <b>${esc(room.roomName)}</b> (${esc(room.code)})</div>
+  <div>Date: ${esc(date)}</div>
+</div>
+<table>
+  <thead>
+    <tr><th rowspan="2">TU #</th>${head1}</tr>
+    <tr>${head2}</tr>
+  </thead>
+  <tbody>
+${body}
+    <tr><td class="num"></td>${finals}</tr>
+  </tbody>
+</table>
+<div class="rules">Toss-up ${room.settings.tossupPoints} · Bonus ${room.settings.bonusPoints} · Penalty ${room.settings.negPoints} (${room.settings.negDeduct ? "deducted from the player who buzzed" : "awarded to the opposing team"})</div>
+<div class="sigs">${sigs}</div>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,272 @@
+/* ---------------- Answer grading ----------------
+ * Suggests a ruling for a typed answer. The host always makes the call; this
+ * only has to be right often enough to save them reading every submission.
+ *
+ * Answer lines follow the usual Science Bowl shape:
+ *   "W) MITOCHONDRIA"
+ *   "9.8 METERS PER SECOND SQUARED (ACCEPT: 9.8 M/S^2)"
+ *   "CARBON DIOXIDE (ACCEPT: CO2) (DO NOT ACCEPT: CARBON MONOXIDE)"
+ * gradeAnswer returns { verdict: "correct" | "incorrect" | "unsure", reason }.
+ */
+
+const CHOICE_LETTERS = ["W", "X", "Y", "Z"];
+
+// Relative difference allowed between numeric answers (rounding, g = 9.8 vs 9.81).
+// Only keys written with a decimal point or a power of ten get it; a whole
+// number such as a year or a count has to match exactly.
+const NUMERIC_TOLERANCE = 0.01;
+// What "exactly" allows for: float error from unit scaling ("2000 L" = 2 m^3).
+const EXACT_TOLERANCE = 1e-9;
+
+// Spelled-out units and their symbols, so "meters per second" matches "m/s".
+const UNIT_WORDS = {
+  meter: "m", meters: "m", metre: "m", metres: "m",
+  kilometer: "km", kilometers: "km", centimeter: "cm", centimeters: "cm", millimeter: "mm", millimeters: "mm",
+  nanometer: "nm", nanometers: "nm",
+  second: "s", seconds: "s", sec: "s", secs: "s", minute: "min", minutes: "min", hour: "h", hours: "h",
+  gram: "g", grams: "g", kilogram: "kg", kilograms: "kg",
+  newton: "n", newtons: "n", joule: "j", joules: "j", watt: "w", watts: "w",
+  volt: "v", volts: "v", ampere: "a", amperes: "a", amp: "a", amps: "a", ohm: "ohm", ohms: "ohm",
+  hertz: "hz", kelvin: "k", mole: "mol", moles: "mol", liter: "l", liters: "l", litre: "l", litres: "l",
+  pascal: "pa", pascals: "pa", degrees: "deg", degree: "deg", celsius: "c", fahrenheit: "f", degc: "c", degf: "f"
+};
+
+// Each unit symbol as [scale, SI base dimensions], so "m/s/s", "m s^-2" and
+// "meters per second squared" all come out as m·s⁻², and "1 km" = "1000 m".
+const J = { kg: 1, m: 2, s: -2 };
+const PA = { kg: 1, m: -1, s: -2 };
+const UNITS = {
+  m: [1, { m: 1 }], km: [1e3, { m: 1 }], cm: [1e-2, { m: 1 }], mm: [1e-3, { m: 1 }], nm: [1e-9, { m: 1 }],
+  s: [1, { s: 1 }], ms: [1e-3, { s: 1 }], min: [60, { s: 1 }], h: [3600, { s: 1 }], hr: [3600, { s: 1 }],
+  g: [1e-3, { kg: 1 }], kg: [1, { kg: 1 }], mg: [1e-6, { kg: 1 }],
+  n: [1, { kg: 1, m: 1, s: -2 }],
+  j: [1, J], kj: [1e3, J], ev: [1.602176634e-19, J], cal: [4.184, J], kcal: [4184, J],
+  w: [1, { kg: 1, m: 2, s: -3 }], kw: [1e3, { kg: 1, m: 2, s: -3 }],
+  v: [1, { kg: 1, m: 2, s: -3, a: -1 }], a: [1, { a: 1 }], ma: [1e-3, { a: 1 }],
+  ohm: [1, { kg: 1, m: 2, s: -3, a: -2 }],
+  hz: [1, { s: -1 }], khz: [1e3, { s: -1 }], mhz: [1e6, { s: -1 }],
+  k: [1, { k: 1 }], mol: [1, { mol: 1 }],
+  l: [1e-3, { m: 3 }], ml: [1e-6, { m: 3 }],
+  pa: [1, PA], kpa: [1e3, PA], atm: [101325, PA],
+  // Temperature scales have offsets; a bare "degrees" could be any of them.
+  c: [1, { degc: 1 }], f: [1, { degf: 1 }], deg: [1, { deg: 1 }]
+};
+
+function stripAccents(s) {
+  return s.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+}
+
+// Lowercase, no accents or stray punctuation, single spaces, no leading article.
+function normalizeAnswer(s) {
+  return stripAccents(String(s ?? ""))
+    .toLowerCase()
+    .replace(/[−–—]/g, "-")
+    .replace(/[“”"'`]/g, "")
+    .replace(/\s+and\s+/g, ", ")
+    .replace(/[^a-z0-9.,\-+/^*×% ]/g, " ")
+    .replace(/\s*,[\s,]*/g, ",")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^(the|a|an) /, "")
+    .replace(/[.,]+$/, "");
+}
+
+/**
+ * Read the text after a number as a unit: { scale, dims } in SI base units,
+ * or null unless every piece is a known unit, so words like "million" or a
+ * list ("1,3") never pass for one. Everything after "/" or "per" is in the
+ * denominator; "squared", "cubed" and "^n" raise the unit before them.
+ */
+function parseUnit(tail) {
+  const factors = [];
+  let denominator = false;
+  let power = 1;
+  for (const token of tail.replace(/\*\*/g, "^").match(/[a-z]+(?:\^[-+]?\d+)?|\^[-+]?\d+|\S/g) || []) {
+    const [word, exp] = token.split("^");
+    const last = factors.at(-1);
+    if (token === "*" || token === "-") continue;
+    if (token === "/" || word === "per") {
+      denominator = true;
+    } else if (word === "square" || word === "cubic") {
+      power = word === "square" ? 2 : 3;
+    } else if (word === "squared" || word === "cubed" || (!word && exp)) {
+      if (!last) return null;
+      last.exp *= word === "squared" ? 2 : word === "cubed" ? 3 : Number(exp);
+    } else {
+      const symbol = UNIT_WORDS[word] ?? word;
+      if (!UNITS[symbol]) return null;
+      // "degrees celsius" is one unit, not two.
+      if ((symbol === "c" || symbol === "f") && last?.symbol === "deg") factors.pop();
+      factors.push({ symbol, exp: (exp ? Number(exp) : 1) * power * (denominator ? -1 : 1) });
+      power = 1;
+    }
+  }
+  if (!factors.length) return null;
+
+  let scale = 1;
+  const dims = {};
+  for (const { symbol, exp } of factors) {
+    const [factor, base] = UNITS[symbol];
+    scale *= factor ** exp;
+    for (const [d, n] of Object.entries(base)) dims[d] = (dims[d] || 0) + n * exp;
+  }
+  const key = Object.keys(dims)
+    .filter((d) => dims[d])
+    .sort()
+    .map((d) => `${d}${dims[d]}`)
+    .join(" ");
+  return { scale, dims: key };
+}
+
+/**
+ * Split a normalized answer into a number and what follows it, or null if it
+ * doesn't start with one. Handles "3 x 10^8", "3e8" and "1,000". `unit` is
+ * "" for a bare number, null when the rest isn't a unit, and otherwise what
+ * parseUnit returns. `exact` is set for a plain whole number.
+ */
+function parseQuantity(s) {
+  const m = /^([-+]?(?:\d{1,3}(?:,\d{3})+|\d*\.?\d+))(?:\s*(?:x|\*|×)\s*10\s*\^?\s*([-+]?\d+)|e([-+]?\d+))?\s*(.*)$/.exec(s);
+  if (!m) return null;
+  const exp = Number(m[2] ?? m[3] ?? 0);
+  const value = Number(m[1].replace(/,/g, "")) * 10 ** exp;
+  if (!Number.isFinite(value)) return null;
+  const exact = !m[1].includes(".") && m[2] == null && m[3] == null;
+  return { value, exact, unit: m[4] ? parseUnit(m[4]) : "" };
+}
+
+function numbersMatch(a, b, tolerance) {
+  if (a === b) return true;
+  return Math.abs(a - b) <= tolerance * Math.max(Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Accepted and rejected answers from an answer line. Parenthesized
+ * "ACCEPT:" / "DO NOT ACCEPT:" notes become alternates and rejects; any
+ * other parenthetical is optional text, so both readings are accepted.
+ */
+function parseAnswerLine(line) {
+  const accept = [];
+  const reject = [];
+  const notes = [...String(line ?? "").matchAll(/\(([^)]*)\)|\[([^\]]*)\]/g)];
+  let main = String(line ?? "");
+
+  for (const n of notes) {
+    const inner = (n[1] ?? n[2]).trim();
+    const dont = /^(?:but\s+)?do\s+not\s+accept\s*:?\s*/i.exec(inner);
+    const ok = /^(?:also\s+)?accept(?:able)?\s*:?\s*/i.exec(inner);
+    if (dont) {
+      reject.push(...splitAlternates(inner.slice(dont[0].length)));
+      main = main.replace(n[0], " ");
+    } else if (ok) {
+      accept.push(...splitAlternates(inner.slice(ok[0].length)));
+      main = main.replace(n[0], " ");
+    } else if (/^prompt/i.test(inner)) {
+      main = main.replace(n[0], " ");
+    }
+  }
+
+  const bare = main.replace(/\(([^)]*)\)|\[([^\]]*)\]/g, " ");
+  const full = main.replace(/[()[\]]/g, " ");
+  for (const s of new Set([bare, full])) accept.unshift(...splitAlternates(s));
+
+  return {
+    accept: [...new Set(accept.map(normalizeAnswer).filter(Boolean))],
+    reject: [...new Set(reject.map(normalizeAnswer).filter(Boolean))]
+  };
+}
+
+function splitAlternates(s) {
+  return s.split(/\s*;\s*|\s+or\s+/i).filter((x) => x.trim());
+}
+
+// "yes", "no", or "maybe" when the numbers agree but the rest can't be
+// compared: "1" for "1 AND 3", "300" for "300 MILLION", "100 degrees" for
+// "100 DEGREES CELSIUS".
+function sameAnswer(given, accepted) {
+  if (given === accepted) return "yes";
+  const a = parseQuantity(given);
+  const b = parseQuantity(accepted);
+  if (!a || !b) return "no";
+  const tolerance = b.exact ? EXACT_TOLERANCE : NUMERIC_TOLERANCE;
+  // Units of the same kind compare in base units: "1 km" is "1000 m".
+  if (a.unit && b.unit && a.unit.dims === b.unit.dims) {
+    return numbersMatch(a.value * a.unit.scale, b.value * b.unit.scale, tolerance) ? "yes" : "no";
+  }
+  if (!numbersMatch(a.value, b.value, tolerance)) return "no";
+  if (a.unit === null || b.unit === null) return "maybe";
+  // A bare number is fine; a unit, if given, has to be the right kind.
+  if (!a.unit || !b.unit) return "yes";
+  const temp = (u) => u.dims === "degc1" || u.dims === "degf1";
+  return (a.unit.dims === "deg1" && temp(b.unit)) || (b.unit.dims === "deg1" && temp(a.unit)) ? "maybe" : "no";
+}
+
+// One typo in a longer word is worth a second look, not a confident ruling.
+function nearMiss(a, b) {
+  if (Math.min(a.length, b.length) < 6 || Math.abs(a.length - b.length) > 1) return false;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length] <= 1;
+}
+
+// The letter a multiple-choice answer line or submission points at, if any.
+// A submission is free text, so after the letter only that choice's own text
+// may follow: "w", "W)" and "W) mitochondria" name W, "w or x" names nothing.
+function choiceLetter(s, choices) {
+  const text = String(s ?? "").trim();
+  const m = /^([wxyz])(?:\s*[).:]|\s|$)\s*(.*)$/i.exec(text);
+  if (m) {
+    const l = m[1].toUpperCase();
+    const rest = normalizeAnswer(m[2]);
+    return !rest || (choices?.[l] && normalizeAnswer(choices[l]) === rest) ? l : null;
+  }
+  const norm = normalizeAnswer(text);
+  for (const l of CHOICE_LETTERS) {
+    if (choices?.[l] && normalizeAnswer(choices[l]) === norm) return l;
+  }
+  return null;
+}
+
+// The answer line is trusted: its letter counts whatever text follows it.
+function keyLetter(line, choices) {
+  const m = /^([wxyz])(?:\)|\.|:|\s|$)/i.exec(String(line ?? "").trim());
+  return m ? m[1].toUpperCase() : choiceLetter(line, choices);
+}
+
+function gradeChoice(question, submission) {
+  const key = keyLetter(question.answer, question.choices);
+  if (!key) return { verdict: "unsure", reason: "The answer line has no choice letter." };
+  const given = choiceLetter(submission, question.choices);
+  if (!given) return { verdict: "incorrect", reason: "Not one of W, X, Y or Z." };
+  return given === key
+    ? { verdict: "correct", reason: `Matches ${key}.` }
+    : { verdict: "incorrect", reason: `Answer is ${key}.` };
+}
+
+function gradeShort(question, submission) {
+  const { accept, reject } = parseAnswerLine(question.answer);
+  if (!accept.length) return { verdict: "unsure", reason: "No answer line to compare against." };
+  const given = normalizeAnswer(submission);
+  if (!given) return { verdict: "incorrect", reason: "No answer." };
+
+  if (reject.some((r) => sameAnswer(given, r) === "yes")) {
+    return { verdict: "incorrect", reason: "Listed as not acceptable." };
+  }
+  const hit = accept.find((a) => sameAnswer(given, a) === "yes");
+  if (hit) return { verdict: "correct", reason: `Matches “${hit}”.` };
+  const partial = accept.find((a) => sameAnswer(given, a) === "maybe");
+  if (partial) return { verdict: "unsure", reason: `Same number as “${partial}”; check the rest.` };
+  const close = accept.find((a) => nearMiss(given, a));
+  if (close) return { verdict: "unsure", reason: `Close to “${close}”.` };
+  return { verdict: "incorrect", reason: "No match." };
+}
+
+export function gradeAnswer(question, submission) {
+  if (!question?.answer) return { verdict: "unsure", reason: "No packet answer to compare against." };
+  return question.type === "mc" ? gradeChoice(question, submission) : gradeShort(question, submission);
+}
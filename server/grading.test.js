@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { gradeAnswer } from "./grading.js";
+
+const sa = (answer) => ({ type: "sa", answer });
+const mc = (answer, choices) => ({ type: "mc", answer, choices });
+const verdict = (question, given) => gradeAnswer(question, given).verdict;
+
+test("multiple choice matches the letter or the choice text", () => {
+  const q = mc("W) MITOCHONDRIA", { W: "Mitochondria", X: "Ribosome" });
+  assert.equal(verdict(q, "w"), "correct");
+  assert.equal(verdict(q, "X"), "incorrect");
+  assert.equal(verdict(mc("X", { W: "a", X: "Ribosome" }), "ribosome"), "correct");
+  assert.equal(verdict(q, "W) mitochondria"), "correct");
+});
+
+test("a multiple-choice submission naming more than one choice is not a match", () => {
+  const q = mc("W) MITOCHONDRIA", { W: "Mitochondria", X: "Ribosome" });
+  assert.equal(verdict(q, "w or x"), "incorrect");
+  assert.equal(verdict(mc("X) RIBOSOME", { X: "Ribosome" }), "x y z"), "incorrect");
+  assert.equal(verdict(q, "W) ribosome"), "incorrect");
+});
+
+test("short answers honour accept and do-not-accept lists", () => {
+  const q = sa("CARBON DIOXIDE (ACCEPT: CO2) (DO NOT ACCEPT: CARBON MONOXIDE)");
+  assert.equal(verdict(q, "  Carbon   dioxide "), "correct");
+  assert.equal(verdict(q, "co2"), "correct");
+  assert.equal(verdict(q, "carbon monoxide"), "incorrect");
+  assert.equal(verdict(sa("ENTROPY OR DISORDER"), "disorder"), "correct");
+  assert.equal(verdict(sa("THE SUN"), "sun"), "correct");
+  assert.equal(verdict(sa("MITOCHONDRIA (MITOCHONDRION)"), "mitochondrion"), "incorrect");
+});
+
+test("a near miss or a missing key goes to the moderator", () => {
+  assert.equal(verdict(sa("CARBON DIOXIDE"), "carbon dioxde"), "unsure");
+  assert.equal(verdict(sa(""), "x"), "unsure");
+});
+
+test("numbers match in any notation, with or without the unit", () => {
+  const g = sa("9.8 METERS PER SECOND SQUARED (ACCEPT: 9.8 M/S^2)");
+  assert.equal(verdict(g, "9.81 m/s^2"), "correct");
+  assert.equal(verdict(g, "9.8"), "correct");
+  assert.equal(verdict(g, "12"), "incorrect");
+  assert.equal(verdict(sa("3 X 10^8 METERS PER SECOND"), "3e8 m/s"), "correct");
+  assert.equal(verdict(sa("1,000 JOULES"), "1000 J"), "correct");
+  assert.equal(verdict(sa("12 NEWTONS"), "12 N"), "correct");
+});
+
+test("whole-number keys such as years and counts must match exactly", () => {
+  assert.equal(verdict(sa("1905"), "1905"), "correct");
+  assert.equal(verdict(sa("1905"), "1915"), "incorrect");
+  assert.equal(verdict(sa("1905"), "1912"), "incorrect");
+  assert.equal(verdict(sa("100"), "101"), "incorrect");
+  assert.equal(verdict(sa("2 CUBIC METERS"), "2000 l"), "correct");
+});
+
+test("equivalent ways of writing a unit are the same unit", () => {
+  const g = sa("9.8 M/S^2");
+  for (const given of ["9.8 m/s/s", "9.8 meters per second per second", "9.8 m s^-2", "9.8 m*s**-2", "9800 mm/s^2"]) {
+    assert.equal(verdict(g, given), "correct", given);
+  }
+  assert.equal(verdict(sa("1000 METERS"), "1 km"), "correct");
+  assert.equal(verdict(sa("2 CUBIC METERS"), "2 m^3"), "correct");
+  assert.equal(verdict(sa("1000 METERS"), "1000 km"), "incorrect");
+});
+
+test("a unit of the wrong kind is incorrect", () => {
+  assert.equal(verdict(sa("9.8 METERS PER SECOND SQUARED"), "9.8 kg"), "incorrect");
+  assert.equal(verdict(sa("100 KELVIN"), "100 degrees"), "incorrect");
+  assert.equal(verdict(sa("100 KELVIN"), "100 k"), "correct");
+});
+
+test("temperatures accept the scale written any way", () => {
+  assert.equal(verdict(sa("25 DEGREES CELSIUS"), "25 c"), "correct");
+  assert.equal(verdict(sa("100 DEGREES CELSIUS"), "100 °C"), "correct");
+  assert.equal(verdict(sa("100 DEGREES CELSIUS"), "100 degrees"), "unsure");
+});
+
+test("lists and words after a number need a second look", () => {
+  assert.equal(verdict(sa("1, 3"), "1 and 3"), "correct");
+  assert.equal(verdict(sa("1 AND 3"), "1"), "unsure");
+  assert.equal(verdict(sa("1 AND 3"), "2"), "incorrect");
+  assert.equal(verdict(sa("1, 2 AND 4"), "1"), "unsure");
+  assert.equal(verdict(sa("1, 2 AND 4"), "1, 2, and 4"), "correct");
+  assert.equal(verdict(sa("300 MILLION"), "300"), "unsure");
+  assert.equal(verdict(sa("300 MILLION"), "300 million"), "correct");
+  assert.equal(verdict(sa("4 ELECTRONS"), "4"), "unsure");
+});
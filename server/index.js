@@ -3,6 +3,27 @@ import http from "http";
 import cors from "cors";
 import { Server } from "socket.io";
 import { nanoid } from "nanoid";
+import { buildRules, presetList, presetFits, DEFAULT_PRESET } from "./rules.js";
+import { parsePacket } from "./packet.js";
+import { playerStats } from "./stats.js";
+import { gradeAnswer } from "./grading.js";
+import { exportCsv, exportJson, scoresheetHtml } from "./export.js";
+import { createBackend, createStore, serializeRoom, deserializeRoom } from "./storage.js";
+import {
+  newTournament,
+  addTeams,
+  makePools,
+  poolSchedule,
+  findMatch,
+  allMatches,
+  bracketMatches,
+  poolStandings,
+  bracketSeeds,
+  buildBracket,
+  resolveBracket
+} from "./tournament.js";
+import { fileURLToPath } from "url";
+import path from "path";
 
 const app = express();
 
@@ -18,15 +39,47 @@ app.get("/health", (_, res) => res.json({ ok: true }));
 const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: true, credentials: true } });
 
-const DEFAULT_TOSSUP_SECONDS = 5;
-const DEFAULT_BONUS_SECONDS = 20;
-
 // If host disconnects, keep room alive for this long to allow host rejoin
 const HOST_GRACE_MS = 10 * 60 * 1000;
 
+// A team player offline this long stops counting toward the team cap, so a
+// dropped phone that never comes back doesn't keep a substitute out.
+const SEAT_GRACE_MS = 5 * 60 * 1000;
+
+// Buzz arbitration: after the first buzz arrives, wait this long for others
+// and award the earliest corrected press. A client's press time may be moved
+// earlier than its arrival by at most its one-way delay (RTT/2), capped here.
+// Either may be set to 0 (no window / no correction).
+function envMs(name, fallback) {
+  const raw = process.env[name];
+  const n = raw === undefined || raw.trim() === "" ? NaN : Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+const BUZZ_WINDOW_MS = envMs("BUZZ_WINDOW_MS", 120);
+const MAX_BUZZ_CORRECTION_MS = envMs("MAX_BUZZ_CORRECTION_MS", 200);
+
+// Behind a reverse proxy, take the client IP (for IP bans) from X-Forwarded-For.
+const TRUST_PROXY = process.env.TRUST_PROXY === "1";
+
+// Clock sync: a few quick pings on connect, then one every CLOCK_SYNC_MS.
+const CLOCK_SYNC_MS = 15 * 1000;
+const CLOCK_SYNC_SAMPLES = 5;
+
+// Typed answers that arrive this soon after the answer window closes still count.
+const ANSWER_GRACE_MS = 500;
+
 const rooms = new Map();
 const now = () => Date.now();
 
+// Room snapshots: STORAGE=file (default, one JSON file per room in DATA_DIR) or memory
+const DATA_DIR = process.env.DATA_DIR || fileURLToPath(new URL("./data", import.meta.url));
+const store = createStore(createBackend(process.env.STORAGE || "file", DATA_DIR));
+const tournamentStore = createStore(createBackend(process.env.STORAGE || "file", path.join(DATA_DIR, "tournaments")));
+
+const tournaments = new Map();
+// Last live summary pushed to tournament watchers, per match room code.
+const tournamentLiveSent = new Map();
+
 function genCode() {
   const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
   let code = "";
@@ -34,6 +87,196 @@ function genCode() {
   return code;
 }
 
+/* ---------------- Room lifecycle ---------------- */
+// A fresh room with no one in it yet. Callers add the host (or leave the
+// seat empty for a tournament moderator to claim with the host link).
+function newRoom(code, roomName, hostKey, settings, teamNames, individual = false) {
+  const room = {
+    code,
+    roomName,
+    individual,
+    hostSocketId: null,
+    hostKey,
+    hostLastSeenMs: now(),
+    hostGraceTimeout: null,
+
+    settings,
+    teams: new Map(),
+    players: new Map(),
+    phase: "lobby",
+    activeBonusTeamId: null,
+    tossupLockedTeams: new Set(),
+    buzz: { locked: false },
+    buzzQueue: [],
+    autoPromoteBuzz: false,
+    locked: false,
+    bans: { tokens: [], ips: [] },
+    officials: [],
+    timer: { mode: "tossup", running: false, paused: false, remainingMs: settings.tossupSeconds * 1000, endsAtMs: 0 },
+    clocksStopped: null,
+    tossupEndTimeout: null,
+    gameClock: newGameClock(settings),
+    gameClockTimeout: null,
+    packet: null,
+    journal: { undo: [], redo: [] },
+    match: { tossupNumber: 0, packetIndex: -1, half: 1, halfStartTossup: 0, result: null, audit: [], challenges: [], subs: [], rows: [] }
+  };
+
+  for (const name of teamNames) addTeam(room, name);
+  return room;
+}
+
+/* ---------------- Teams ----------------
+ * Rooms hold 2–8 teams. Teams can come and go between questions: a new team
+ * starts with zero-point rows (recomputeFromRows fills them in) and a removed
+ * team's rows move to `match.removedTeams` so the scoresheet stays clean but
+ * nothing is lost.
+ */
+const TEAMS_MIN = 2;
+const TEAMS_MAX = 8;
+
+function addTeam(room, name) {
+  const id = nanoid(6);
+  room.teams.set(id, { id, name, score: 0 });
+  return room.teams.get(id);
+}
+
+/* ---------------- Individual mode ----------------
+ * Free-for-all rooms start with no teams; every player who joins gets a solo
+ * team of their own. Lockout, negs, bonuses and rows already work per team,
+ * so they work per player without a second code path.
+ */
+const INDIVIDUAL_MAX = 40;
+
+function addSoloTeam(room, player) {
+  const team = addTeam(room, player.name);
+  team.solo = true;
+  team.ownerId = player.id;
+  recomputeFromRows(room);
+  return team;
+}
+
+// Where the host can seat a player in an individual room: back on their own
+// entry, or on a new one if they have none (it was removed, or they joined
+// as a spectator). `teamId` is that entry's id or "own".
+function soloTeamFor(room, p, teamId) {
+  const own = [...room.teams.values()].find((t) => t.ownerId === p.id) || (p.teamId ? room.teams.get(p.teamId) : null);
+  if (own) return teamId === own.id || teamId === "own" ? { team: own } : { error: "Each player keeps their own entry." };
+  if (teamId !== "own") return { error: "Each player keeps their own entry." };
+  if (room.teams.size >= INDIVIDUAL_MAX) return { error: `This room already has ${INDIVIDUAL_MAX} players.` };
+  return { team: addSoloTeam(room, p) };
+}
+
+function teamsEditable(room) {
+  return ["lobby", "tossup_closed", "halftime"].includes(room.phase) && !inTiebreaker(room);
+}
+
+function removeTeam(room, teamId) {
+  const team = room.teams.get(teamId);
+  const rows = {};
+  for (const row of room.match.rows) {
+    if (row.teams[teamId]) rows[row.num] = row.teams[teamId];
+    delete row.teams[teamId];
+  }
+  if (!room.match.removedTeams) room.match.removedTeams = [];
+  room.match.removedTeams.push({
+    id: team.id,
+    name: team.name,
+    score: team.score,
+    afterTossup: room.match.tossupNumber,
+    removedAt: now(),
+    rows
+  });
+
+  for (const p of room.players.values()) {
+    if (p.teamId !== teamId) continue;
+    p.teamId = null;
+    p.isSpectator = true;
+    delete p.active;
+  }
+  room.teams.delete(teamId);
+  room.tossupLockedTeams.delete(teamId);
+  pruneBuzzQueue(room);
+}
+
+function uniqueCode() {
+  let code = genCode();
+  while (rooms.has(code) || tournaments.has(code)) code = genCode();
+  return code;
+}
+
+// The undo journal stays in memory: it holds up to JOURNAL_LIMIT copies of the
+// scoresheet, too much to rewrite on every mutation. A restart starts it over.
+function persist(room) {
+  if (rooms.get(room.code) !== room) return;
+  store.schedule(room.code, () => serializeRoom({ ...room, journal: undefined }));
+}
+
+function closeRoom(room) {
+  clearTossupEndTimeout(room);
+  clearGameClockTimeout(room);
+  clearBuzz(room);
+  if (room.hostGraceTimeout) clearTimeout(room.hostGraceTimeout);
+  rooms.delete(room.code);
+  tournamentLiveSent.delete(room.code);
+  store.remove(room.code);
+}
+
+// Close the room unless the host reclaims it within HOST_GRACE_MS.
+function startHostGrace(room) {
+  room.hostLastSeenMs = now();
+  // Tournament rooms belong to the director; they wait for their moderator.
+  if (room.tournament) return;
+  if (room.hostGraceTimeout) clearTimeout(room.hostGraceTimeout);
+  room.hostGraceTimeout = setTimeout(() => {
+    const r = rooms.get(room.code);
+    if (!r) return;
+    // If host still not reclaimed, close room.
+    if (!r.hostSocketId) {
+      systemMessage(r, "room_closed", "Host did not reconnect. Room closed.");
+      closeRoom(r);
+    }
+  }, HOST_GRACE_MS);
+}
+
+// Rebuild a room saved before a restart. Every socket from before is gone, so
+// team players stay on the roster as disconnected (they reclaim their seat with
+// their player token) and everyone else rejoins via their room URL.
+function restoreRoom(data) {
+  const room = deserializeRoom(data);
+  if (!room?.code) return;
+
+  for (const [sid, p] of room.players) {
+    if (p.isHost || p.isSpectator || p.officialId || !p.token) room.players.delete(sid);
+    else {
+      p.connected = false;
+      if (!p.disconnectedAt) p.disconnectedAt = now();
+    }
+  }
+  room.hostSocketId = null;
+  room.tossupEndTimeout = null;
+  room.hostGraceTimeout = null;
+  room.gameClockTimeout = null;
+  room.buzzWindowTimeout = null;
+  room.answerTimeout = null;
+  if (!room.buzzQueue) room.buzzQueue = [];
+  if (room.buzz.pending) resolveBuzzWindow(room);
+  else scheduleAnswerTimeout(room);
+
+  // A toss-up clock that was running keeps its absolute end time.
+  if (room.phase === "tossup_live" && room.timer.running && !room.buzz.locked) {
+    room.timer.remainingMs = Math.max(0, room.timer.endsAtMs - now());
+    scheduleTossupEnd(room);
+  }
+  if (room.gameClock.running) {
+    room.gameClock.remainingMs = Math.max(0, room.gameClock.endsAtMs - now());
+    scheduleGameClockEnd(room);
+  }
+
+  rooms.set(room.code, room);
+  startHostGrace(room);
+}
+
 function requireRoom(code, socket) {
   const room = rooms.get(code);
   if (!room) socket.emit("error_msg", "Room not found.");
@@ -46,27 +289,73 @@ function isHost(room, socket, hostKey) {
   return false;
 }
 
-function requireHost(room, socket, hostKey) {
-  if (!isHost(room, socket, hostKey)) {
-    socket.emit("error_msg", "Host only.");
-    return false;
-  }
-  return true;
+// With a `permission`, officials whose role grants it pass too; without
+// one the event stays with the host link.
+function requireHost(room, socket, hostKey, permission) {
+  if (isHost(room, socket, hostKey)) return true;
+  const official = officialOf(room, socket);
+  if (official && permission && OFFICIAL_ROLES[official.role].permissions.includes(permission)) return true;
+  socket.emit("error_msg", official ? "Your official role can't do that." : "Host only.");
+  return false;
+}
+
+/* ---------------- Officials ----------------
+ * The host link can do everything. The host can mint more official links,
+ * each tied to a role; an official joins as a non-playing member of the
+ * room and `requireHost` checks the permission each host_* event needs:
+ *
+ *   read   run the toss-ups and bonuses, packet, buzzer queue
+ *   judge  rule on answers and bonuses
+ *   score  edit the scoresheet, challenges, undo/redo
+ *   clock  question and half clocks, halves
+ *
+ * Everything else (room, teams, rules, players, officials) is host only.
+ */
+const OFFICIAL_ROLES = {
+  reader: { label: "Reader", permissions: ["read", "judge"] },
+  scorekeeper: { label: "Scorekeeper", permissions: ["judge", "score"] },
+  timekeeper: { label: "Timekeeper", permissions: ["clock"] }
+};
+const HOST_PERMISSIONS = ["read", "judge", "score", "clock", "manage"];
+const OFFICIALS_MAX = 10;
+
+function ensureOfficials(room) {
+  if (!room.officials) room.officials = [];
+  return room.officials;
+}
+
+function findOfficial(room, officialId) {
+  return ensureOfficials(room).find((o) => o.id === officialId) || null;
 }
 
-/* ---------------- Timer helpers ---------------- */
+function officialOf(room, socket) {
+  const p = room.players.get(socket.id);
+  return p?.officialId ? findOfficial(room, p.officialId) : null;
+}
+
+function officialPlayers(room) {
+  return [...room.players.values()].filter((p) => p.officialId);
+}
+
+/* ---------------- Timer helpers ----------------
+ * `paused` marks a clock the host stopped by hand (resume picks up where it
+ * left off). While every clock is stopped (`room.clocksStopped`), anything
+ * that would start the question timer leaves it paused instead.
+ */
 function computeTimerSnapshot(room) {
   const t = room.timer;
-  if (!t.running) return { mode: t.mode, running: false, remainingMs: t.remainingMs, endsAtMs: 0 };
+  const paused = !!t.paused;
+  if (!t.running) return { mode: t.mode, running: false, paused, remainingMs: t.remainingMs, endsAtMs: 0 };
   const remaining = Math.max(0, t.endsAtMs - now());
   const running = remaining > 0;
-  return { mode: t.mode, running, remainingMs: remaining, endsAtMs: running ? t.endsAtMs : 0 };
+  return { mode: t.mode, running, paused, remainingMs: remaining, endsAtMs: running ? t.endsAtMs : 0 };
 }
 
 function setTimer(room, mode, seconds, running) {
   room.timer.mode = mode;
   room.timer.remainingMs = Math.round(seconds * 1000);
-  if (running) {
+  room.timer.paused = !!running && !!room.clocksStopped;
+  if (running && !room.clocksStopped) {
     room.timer.running = true;
     room.timer.endsAtMs = now() + room.timer.remainingMs;
   } else {
@@ -87,6 +376,31 @@ function stopTimer(room) {
   room.timer.endsAtMs = 0;
 }
 
+function pauseTimer(room) {
+  if (!room.timer.running) return false;
+  stopTimer(room);
+  clearTossupEndTimeout(room);
+  room.timer.paused = true;
+  return true;
+}
+
+function resumeTimer(room) {
+  if (!room.timer.paused) return false;
+  room.timer.paused = false;
+  room.timer.running = true;
+  room.timer.endsAtMs = now() + room.timer.remainingMs;
+  if (room.phase === "tossup_live" && !room.buzz.locked) scheduleTossupEnd(room);
+  return true;
+}
+
+// Host correction: set the remaining time, running or not.
+function setTimerRemaining(room, ms) {
+  room.timer.remainingMs = ms;
+  if (!room.timer.running) return;
+  room.timer.endsAtMs = now() + ms;
+  if (room.phase === "tossup_live" && !room.buzz.locked) scheduleTossupEnd(room);
+}
+
 /* ---------------- Toss-up end timeout ---------------- */
 function clearTossupEndTimeout(room) {
   if (room.tossupEndTimeout) {
@@ -97,6 +411,7 @@ function clearTossupEndTimeout(room) {
 
 function scheduleTossupEnd(room) {
   clearTossupEndTimeout(room);
+  if (!room.timer.running) return;
   const ms = room.timer.remainingMs;
 
   room.tossupEndTimeout = setTimeout(() => {
@@ -110,27 +425,363 @@ function scheduleTossupEnd(room) {
       r.timer.remainingMs = 0;
       r.timer.endsAtMs = 0;
       clearBuzz(r);
+      clearBuzzQueue(r);
+      finishQuestion(r);
       broadcast(r);
     }
   }, ms + 15);
 }
 
+/* ---------------- Game clock + halves ---------------- */
+// The official half clock. Same shape as `room.timer`, plus `expired` once it
+// has run out for the current half (the question in progress still finishes).
+function newGameClock(settings) {
+  return { running: false, remainingMs: settings.halfMinutes * 60 * 1000, endsAtMs: 0, expired: false };
+}
+
+function computeGameClockSnapshot(room) {
+  const g = room.gameClock;
+  const base = { half: room.match.half, enabled: room.settings.halfMinutes > 0, expired: g.expired };
+  if (!g.running) return { ...base, running: false, remainingMs: g.remainingMs, endsAtMs: 0 };
+  const remaining = Math.max(0, g.endsAtMs - now());
+  return { ...base, running: remaining > 0, remainingMs: remaining, endsAtMs: remaining > 0 ? g.endsAtMs : 0 };
+}
+
+function clearGameClockTimeout(room) {
+  if (room.gameClockTimeout) {
+    clearTimeout(room.gameClockTimeout);
+    room.gameClockTimeout = null;
+  }
+}
+
+function scheduleGameClockEnd(room) {
+  clearGameClockTimeout(room);
+  room.gameClockTimeout = setTimeout(() => {
+    const r = rooms.get(room.code);
+    if (!r || !r.gameClock.running) return;
+    if (r.gameClock.endsAtMs - now() > 0) return;
+
+    r.gameClock = { running: false, remainingMs: 0, endsAtMs: 0, expired: true };
+    // Between questions the half ends right away; otherwise finishQuestion
+    // ends it once the current toss-up/bonus is done.
+    if (r.phase === "lobby" || r.phase === "tossup_closed") endHalf(r);
+    broadcast(r);
+  }, room.gameClock.remainingMs + 15);
+}
+
+// Starts with the first toss-up of each half (no-op if there is no clock).
+function startGameClock(room) {
+  const g = room.gameClock;
+  if (!room.settings.halfMinutes || g.running || g.expired) return;
+  if (room.clocksStopped) {
+    room.clocksStopped.gameClock = true;
+    return;
+  }
+  g.running = true;
+  g.endsAtMs = now() + g.remainingMs;
+  scheduleGameClockEnd(room);
+}
+
+function stopGameClock(room) {
+  clearGameClockTimeout(room);
+  if (room.clocksStopped) room.clocksStopped.gameClock = false;
+  const g = room.gameClock;
+  if (!g.running) return;
+  g.remainingMs = Math.max(0, g.endsAtMs - now());
+  g.running = false;
+  g.endsAtMs = 0;
+}
+
+function tossupsInHalf(room) {
+  return room.match.tossupNumber - room.match.halfStartTossup;
+}
+
+function inTiebreaker(room) {
+  return !!room.match.tiebreaker?.active;
+}
+
+// The tie is broken once one eligible team is strictly ahead of the others.
+function tieBroken(room) {
+  const scores = room.match.tiebreaker.teamIds.map((id) => room.teams.get(id)?.score ?? -Infinity);
+  const top = Math.max(...scores);
+  return scores.filter((s) => s === top).length === 1;
+}
+
+// Teams a tied regulation ended between (the default tiebreaker field).
+function tiedTeamIds(room) {
+  const r = room.match.result;
+  return r?.tie ? r.winnerTeamIds : [];
+}
+
+function halfIsOver(room) {
+  if (inTiebreaker(room)) return false;
+  const limit = room.settings.tossupsPerHalf;
+  return room.gameClock.expired || (limit > 0 && tossupsInHalf(room) >= limit);
+}
+
+function isMatchStopped(room) {
+  return room.phase === "halftime" || room.phase === "match_over";
+}
+
+function endMatch(room) {
+  stopGameClock(room);
+  clearTossupEndTimeout(room);
+  stopTimer(room);
+  clearBuzz(room);
+  clearBuzzQueue(room);
+  room.activeBonusTeamId = null;
+  room.bonusReady = null;
+  closeConferral(room);
+  room.phase = "match_over";
+  if (room.match.tiebreaker) room.match.tiebreaker.active = false;
+
+  room.match.result = computeResult(room, now());
+}
+
+function computeResult(room, endedAt) {
+  const teams = [...room.teams.values()];
+  const top = Math.max(...teams.map((t) => t.score));
+  const winners = teams.filter((t) => t.score === top).map((t) => t.id);
+  return {
+    endedAt,
+    scores: Object.fromEntries(teams.map((t) => [t.id, t.score])),
+    winnerTeamIds: winners,
+    tie: winners.length > 1
+  };
+}
+
+function endHalf(room) {
+  stopGameClock(room);
+  if (room.match.half === 1) {
+    room.phase = "halftime";
+    room.tossupLockedTeams = new Set();
+    clearBuzz(room);
+    clearBuzzQueue(room);
+  } else {
+    endMatch(room);
+  }
+}
+
+// Call whenever a toss-up (and its bonus, if any) is fully done.
+function finishQuestion(room) {
+  if (inTiebreaker(room)) {
+    if (tieBroken(room)) endMatch(room);
+    return;
+  }
+  if (halfIsOver(room)) endHalf(room);
+}
+
+/* ---------------- Action journal (undo/redo) ----------------
+ * Every scoring or phase-changing host action pushes a snapshot of the game
+ * state taken just before it. Undo restores that snapshot and keeps the
+ * current state for redo; any new action clears the redo stack. Clocks come
+ * back with the time they had when the snapshot was taken.
+ */
+const JOURNAL_LIMIT = 50;
+
+function snapshotGame(room) {
+  return {
+    scores: Object.fromEntries([...room.teams.entries()].map(([id, t]) => [id, t.score])),
+    phase: room.phase,
+    activeBonusTeamId: room.activeBonusTeamId,
+    bonusReady: room.bonusReady || null,
+    tossupLockedTeams: [...room.tossupLockedTeams],
+    buzz: structuredClone(room.buzz),
+    buzzQueue: structuredClone(room.buzzQueue),
+    timer: computeTimerSnapshot(room),
+    gameClock: computeGameClockSnapshot(room),
+    ...snapshotMatch(room.match)
+  };
+}
+
+// The scoresheet without the logs undo/redo never roll back (audit trail,
+// substitutions, removed teams); challenges keep only the host's ruling.
+function snapshotMatch(match) {
+  const { audit: _audit, subs: _subs, removedTeams: _removed, challenges, ...rest } = match;
+  return {
+    match: structuredClone(rest),
+    rulings: (challenges || []).map(({ id, status, ruling, resolvedAt, resolvedBy }) => ({
+      id,
+      status,
+      ruling,
+      resolvedAt,
+      resolvedBy
+    }))
+  };
+}
+
+function restoreGame(room, snap) {
+  clearTossupEndTimeout(room);
+  clearGameClockTimeout(room);
+  clearBuzz(room);
+
+  for (const [id, t] of room.teams.entries()) t.score = snap.scores[id] ?? 0;
+  room.phase = snap.phase;
+  room.activeBonusTeamId = snap.activeBonusTeamId;
+  room.bonusReady = snap.bonusReady || null;
+  room.tossupLockedTeams = new Set(snap.tossupLockedTeams);
+  room.buzz = structuredClone(snap.buzz);
+  room.buzzQueue = structuredClone(snap.buzzQueue || []);
+  // Substitutions and removed teams are roster changes, which the journal
+  // doesn't cover, so their logs survive undo/redo. The audit trail is
+  // append-only: undo/redo add entries, never remove them.
+  const { subs, removedTeams, challenges, audit } = room.match;
+  room.match = { ...structuredClone(snap.match), subs: subs || [], audit: audit || [] };
+  if (removedTeams) room.match.removedTeams = removedTeams;
+  // Players file challenges outside the journal, so those survive too; only
+  // a ruling the host made (or undid) since the snapshot is rolled back.
+  const ruled = new Map((snap.rulings || []).map((c) => [c.id, c]));
+  room.match.challenges = (challenges || []).map((c) => {
+    const then = ruled.get(c.id);
+    if (!then) return c;
+    const { status, ruling, resolvedAt, resolvedBy } = then;
+    return { ...c, status, ruling, resolvedAt, resolvedBy };
+  });
+  // Players who joined an individual room since the snapshot still need a
+  // cell on every row.
+  for (const row of room.match.rows) {
+    for (const id of room.teams.keys()) if (!row.teams[id]) row.teams[id] = { p: 0, tu: 0, b: 0, score: 0 };
+  }
+  // The conferral only carries on if undo/redo lands on the same bonus; a
+  // bonus reached again later gets a fresh channel.
+  const c = room.conferral;
+  if (c && (!conferralOpen(room) || c.teamId !== room.activeBonusTeamId || c.num !== room.match.tossupNumber)) {
+    closeConferral(room);
+  }
+
+  const t = snap.timer;
+  room.timer = { mode: t.mode, running: false, paused: !!t.paused, remainingMs: t.remainingMs, endsAtMs: 0 };
+  if (t.running && room.clocksStopped) {
+    room.timer.paused = true;
+  } else if (t.running) {
+    room.timer.running = true;
+    room.timer.endsAtMs = now() + t.remainingMs;
+    if (room.phase === "tossup_live" && !room.buzz.locked) scheduleTossupEnd(room);
+  }
+  // An answer window that was open starts over, unless the room has since
+  // gone back to spoken answers.
+  if (room.buzz.answerEndsAt && !room.buzz.submission) {
+    if (room.settings.answerSeconds) openAnswerWindow(room);
+    else delete room.buzz.answerEndsAt;
+  }
+
+  const g = snap.gameClock;
+  room.gameClock = { running: false, remainingMs: g.remainingMs, endsAtMs: 0, expired: g.expired };
+  if (g.running) startGameClock(room);
+}
+
+// Take a removed team out of every undo/redo snapshot. A snapshot where the
+// team held the buzz or the bonus can't be restored without it, so it goes,
+// along with everything further back (or further ahead, for redo).
+function dropTeamFromJournal(room, teamId) {
+  const j = ensureJournal(room);
+  const inPlay = (e) => e.snap.buzz?.winnerTeamId === teamId || e.snap.activeBonusTeamId === teamId;
+  j.undo = j.undo.slice(j.undo.findLastIndex(inPlay) + 1);
+  j.redo = j.redo.slice(j.redo.findLastIndex(inPlay) + 1);
+
+  for (const { snap } of [...j.undo, ...j.redo]) {
+    delete snap.scores[teamId];
+    snap.tossupLockedTeams = snap.tossupLockedTeams.filter((id) => id !== teamId);
+    snap.buzzQueue = (snap.buzzQueue || []).filter((q) => q.teamId !== teamId);
+    for (const row of snap.match.rows) delete row.teams[teamId];
+  }
+}
+
+function ensureJournal(room) {
+  if (!room.journal) room.journal = { undo: [], redo: [] };
+  return room.journal;
+}
+
+// Call right before an action mutates game state.
+function journal(room, label) {
+  const j = ensureJournal(room);
+  j.undo.push({ label, at: now(), snap: snapshotGame(room) });
+  if (j.undo.length > JOURNAL_LIMIT) j.undo.shift();
+  j.redo = [];
+}
+
+function undoAction(room, by) {
+  const j = ensureJournal(room);
+  const entry = j.undo.pop();
+  if (!entry) return false;
+  j.redo.push({ label: entry.label, at: entry.at, snap: snapshotGame(room) });
+  restoreLogged(room, entry, "undo", by);
+  return true;
+}
+
+function redoAction(room, by) {
+  const j = ensureJournal(room);
+  const entry = j.redo.pop();
+  if (!entry) return false;
+  j.undo.push({ label: entry.label, at: entry.at, snap: snapshotGame(room) });
+  restoreLogged(room, entry, "redo", by);
+  return true;
+}
+
+// Restore a journal entry and log it: one entry for the undo/redo itself,
+// then one per scoresheet cell it changed, like a host edit.
+function restoreLogged(room, entry, action, by) {
+  const before = new Map(room.match.rows.map((row) => [row.num, structuredClone(row.teams)]));
+  restoreGame(room, entry.snap);
+
+  const at = now();
+  const log = room.match.audit;
+  log.push({ action, label: entry.label, at, by });
+  const nums = new Set([...before.keys(), ...room.match.rows.map((row) => row.num)]);
+  for (const num of [...nums].sort((a, b) => a - b)) {
+    const was = before.get(num) || {};
+    const is = room.match.rows.find((row) => row.num === num)?.teams || {};
+    for (const teamId of new Set([...Object.keys(was), ...Object.keys(is)])) {
+      for (const field of ROW_FIELDS) {
+        const b = Number(was[teamId]?.[field] || 0);
+        const a = Number(is[teamId]?.[field] || 0);
+        if (a !== b) log.push({ num, teamId, field, before: b, after: a, at, by, challengeId: null, action });
+      }
+    }
+  }
+}
+
+function journalSummary(room) {
+  const j = ensureJournal(room);
+  return {
+    undoLabel: j.undo[j.undo.length - 1]?.label || null,
+    redoLabel: j.redo[j.redo.length - 1]?.label || null
+  };
+}
+
 /* ---------------- Match log (PER TOSS-UP DELTAS) ---------------- */
 function ensureMatch(room) {
   if (room.match) return;
-  room.match = { tossupNumber: 0, rows: [] };
+  room.match = { tossupNumber: 0, packetIndex: -1, half: 1, halfStartTossup: 0, result: null, audit: [], challenges: [], subs: [], rows: [] };
 }
 
 function startNewTossupRow(room) {
   ensureMatch(room);
   room.match.tossupNumber += 1;
+  const tiebreaker = inTiebreaker(room);
 
   const teams = {};
   for (const [id, t] of room.teams.entries()) {
     teams[id] = { p: 0, tu: 0, b: 0, score: t.score };
   }
 
-  room.match.rows.push({ num: room.match.tossupNumber, teams });
+  // Who was on a team for this toss-up (TUH in player stats)
+  const heard = [];
+  for (const p of room.players.values()) {
+    if (p.isHost || p.isSpectator || !p.teamId || !isActive(p) || p.connected === false) continue;
+    heard.push({ playerKey: playerKey(p), name: p.name, teamId: p.teamId });
+  }
+
+  room.match.rows.push({
+    num: room.match.tossupNumber,
+    half: room.match.half,
+    tiebreaker,
+    teams,
+    heard,
+    buzzes: [],
+    readStartAt: now(),
+    readEndAt: null
+  });
 }
 
 function currentRow(room) {
@@ -146,6 +797,25 @@ function addRowDelta(room, teamId, field, points) {
   row.teams[teamId][field] += points;
 }
 
+// Record a judged buzz on the current row for player stats.
+function recordBuzz(room, result, points) {
+  const row = currentRow(room);
+  if (!row) return;
+  const b = room.buzz;
+  if (!row.buzzes) row.buzzes = [];
+  row.buzzes.push({
+    playerKey: b.winnerPlayerKey,
+    playerName: b.winnerName,
+    teamId: b.winnerTeamId,
+    interrupt: !!b.interruptChoice,
+    result,
+    points,
+    fromStartMs: row.readStartAt ? b.at - row.readStartAt : null,
+    fromEndMs: row.readEndAt && b.at >= row.readEndAt ? b.at - row.readEndAt : null,
+    answer: b.submission ? b.submission.answer : null
+  });
+}
+
 function refreshRowScores(room) {
   const row = currentRow(room);
   if (!row) return;
@@ -176,254 +846,1717 @@ function recomputeFromRows(room) {
   }
 }
 
-/* ---------------- Buzz helpers ---------------- */
-function clearBuzz(room) {
-  room.buzz = { locked: false };
+/* ---------------- Packet helpers ---------------- */
+function currentPair(room) {
+  if (!room.packet) return null;
+  return room.packet.pairs[room.match.packetIndex] || null;
 }
 
-/* ---------------- State + broadcast ---------------- */
-function publicState(room) {
-  const teams = [...room.teams.values()].map((t) => ({ ...t }));
-  const players = [...room.players.values()].map((p) => ({
-    socketId: p.socketId,
-    name: p.name,
-    teamId: p.teamId,
-    isHost: p.isHost,
-    isSpectator: !!p.isSpectator
-  }));
+// Called when a new toss-up starts; moves the reader to the next pair.
+function advancePacket(room) {
+  if (!room.packet) return;
+  room.match.packetIndex = Math.min(room.match.packetIndex + 1, room.packet.pairs.length);
+}
 
-  const buzz = room.buzz.locked
-    ? {
-        locked: true,
-        winnerSocketId: room.buzz.winnerSocketId,
-        winnerName: room.buzz.winnerName,
-        winnerTeamId: room.buzz.winnerTeamId,
-        at: room.buzz.at,
-        interruptChoice: room.buzz.interruptChoice
-      }
-    : { locked: false };
+/* ---------------- Row edits ---------------- */
+const ROW_FIELDS = ["p", "tu", "b"];
 
-  return {
-    code: room.code,
-    roomName: room.roomName,
-    hostSocketId: room.hostSocketId,
-    settings: room.settings,
-    teams,
-    players,
-    phase: room.phase,
-    activeBonusTeamId: room.activeBonusTeamId,
-    buzz,
-    timer: computeTimerSnapshot(room),
-    tossupLockedTeams: [...room.tossupLockedTeams],
-    match: room.match
-  };
+// Named presets score a bonus all or nothing; custom rules allow partial
+// credit up to the cap. Returns an error message or null.
+function bonusPointsError(settings, p) {
+  const { preset, bonusPoints, bonusMax } = settings;
+  if (!Number.isInteger(p) || p < 0 || p > bonusMax) return `Bonus points must be a whole number from 0 to ${bonusMax}.`;
+  if (preset !== "custom" && p !== 0 && p !== bonusPoints) return `Bonus points must be 0 or ${bonusPoints} under these rules.`;
+  return null;
 }
 
-function broadcast(room) {
-  io.to(room.code).emit("state", publicState(room));
-}
+// Returns an error message if the row's deltas break the scoring rules,
+// otherwise null. Checks the whole row so edits can be applied in any order.
+function validateRow(room, row) {
+  const { tossupPoints, negPoints } = room.settings;
+  const maxNegs = Math.max(0, room.teams.size - 1);
+  let tossupTeams = 0;
+
+  for (const cell of Object.values(row.teams)) {
+    for (const f of ROW_FIELDS) {
+      const v = Number(cell[f] || 0);
+      if (!Number.isInteger(v)) return "Points must be whole numbers.";
+      // A neg that deducts from the buzzer is the only negative cell.
+      if (v < 0 && !(f === "p" && room.settings.negDeduct)) return "Points must be a whole number ≥ 0.";
+    }
 
-/* ---------------- Socket.io handlers ---------------- */
-io.on("connection", (socket) => {
-  socket.on("create_room", ({ hostName, roomName, numTeams }) => {
-    const code = genCode();
-    const hostKey = nanoid(24);
+    const tu = Number(cell.tu || 0);
+    const b = Number(cell.b || 0);
+    const p = Number(cell.p || 0);
 
-    const rn = String(roomName || "").trim().slice(0, 40) || `Room ${code}`;
-    const n = Number(numTeams);
-    const teamCount = Number.isFinite(n) ? Math.min(8, Math.max(2, Math.round(n))) : 2;
+    if (tu !== 0 && tu !== tossupPoints) return `Toss-up points must be 0 or ${tossupPoints}.`;
+    if (tu > 0) tossupTeams += 1;
 
-    const room = {
-      code,
-      roomName: rn,
-      hostSocketId: socket.id,
-      hostKey,
-      hostLastSeenMs: now(),
-      hostGraceTimeout: null,
-
-      settings: { tossupSeconds: DEFAULT_TOSSUP_SECONDS, bonusSeconds: DEFAULT_BONUS_SECONDS },
-      teams: new Map(),
-      players: new Map(),
-      phase: "lobby",
-      activeBonusTeamId: null,
-      tossupLockedTeams: new Set(),
-      buzz: { locked: false },
-      timer: { mode: "tossup", running: false, remainingMs: DEFAULT_TOSSUP_SECONDS * 1000, endsAtMs: 0 },
-      tossupEndTimeout: null,
-      match: { tossupNumber: 0, rows: [] }
-    };
+    const bErr = bonusPointsError(room.settings, b);
+    if (bErr) return bErr;
+    if (b > 0 && tu === 0) return "Only the team that answered the toss-up can earn the bonus.";
 
-    for (let i = 0; i < teamCount; i++) {
-      const id = nanoid(6);
-      room.teams.set(id, { id, name: `Team ${String.fromCharCode(65 + i)}`, score: 0 });
+    if (room.settings.negDeduct) {
+      if (p !== 0 && p !== -negPoints) return `Penalty points must be 0 or -${negPoints}.`;
+    } else {
+      const pOk = negPoints > 0 ? p % negPoints === 0 && p <= negPoints * maxNegs : p === 0;
+      if (!pOk) return `Penalty points must be a multiple of ${negPoints} (at most ${negPoints * maxNegs}).`;
     }
+  }
 
-    room.players.set(socket.id, {
-      socketId: socket.id,
-      name: (hostName?.trim() || "Host").slice(0, 24),
-      teamId: null,
-      isHost: true,
-      isSpectator: false
-    });
+  if (tossupTeams > 1) return "Only one team can earn toss-up points on a row.";
+  return null;
+}
 
-    rooms.set(code, room);
-    socket.join(code);
+// Bring the row's buzz records in line with edited toss-up and penalty cells
+// so player stats follow the corrected scoresheet. A rewritten buzz is marked
+// `edited`; a cell no buzz can be matched to only changes the row.
+function syncRowBuzzes(room, row, changes) {
+  const { tossupPoints, negPoints, negDeduct } = room.settings;
+  for (const c of changes) {
+    if (c.field === "tu") {
+      const b = row.buzzes?.findLast((x) => x.teamId === c.teamId);
+      if (!b) continue;
+      if (c.after > 0) Object.assign(b, { result: "correct", points: tossupPoints, edited: true });
+      else if (b.result === "correct") Object.assign(b, { result: "incorrect", points: b.interrupt ? -negPoints : 0, edited: true });
+    } else if (c.field === "p") {
+      // Penalty points sit on the negging team under negDeduct, otherwise on
+      // the teams that were negged against.
+      const b = row.buzzes?.findLast((x) =>
+        negDeduct ? x.teamId === c.teamId : x.teamId !== c.teamId && x.interrupt && x.result !== "correct"
+      );
+      if (b) Object.assign(b, { points: c.after ? -negPoints : 0, edited: true });
+    }
+  }
+}
 
-    socket.emit("room_created", { code, hostKey });
-    broadcast(room);
-  });
+/**
+ * Check a batch of { teamId, field, value } edits against one row without
+ * touching it. Returns { error } or { draft, changes } for commitRowEdits.
+ * The whole edited row is validated, so edits can come in any order.
+ */
+function planRowEdits(room, row, edits) {
+  const draft = structuredClone(row.teams);
+  const changes = [];
+
+  for (const e of edits) {
+    if (!room.teams.has(e.teamId) || !ROW_FIELDS.includes(e.field)) return { error: "Unknown team or field." };
+    if (!draft[e.teamId]) draft[e.teamId] = { p: 0, tu: 0, b: 0, score: 0 };
+
+    const before = Number(draft[e.teamId][e.field] || 0);
+    const after = Number(e.value);
+    if (before === after) continue;
+    draft[e.teamId][e.field] = after;
+    changes.push({ teamId: e.teamId, field: e.field, before, after });
+  }
 
-  socket.on("peek_room", ({ code }, ack) => {
-    code = String(code || "").toUpperCase().trim();
-    const room = rooms.get(code);
+  const error = validateRow(room, { ...row, teams: draft });
+  return error ? { error } : { draft, changes };
+}
 
-    if (!room) {
-      if (typeof ack === "function") ack({ ok: false, error: "Room not found." });
-      return;
-    }
+// Apply a plan from planRowEdits, recompute totals and record each change in
+// the audit trail. Callers journal first.
+function commitRowEdits(room, row, plan, meta) {
+  row.teams = plan.draft;
+  syncRowBuzzes(room, row, plan.changes);
+  recomputeFromRows(room);
+  if (room.match.result) room.match.result = computeResult(room, room.match.result.endedAt);
+
+  if (!room.match.audit) room.match.audit = [];
+  for (const c of plan.changes) {
+    room.match.audit.push({ num: row.num, ...c, at: now(), by: meta.by, challengeId: meta.challengeId || null });
+  }
+}
+
+/* ---------------- Players ----------------
+ * `id` is public (stats, roster); `token` is the secret a player's browser
+ * keeps in localStorage to reclaim its seat after a reconnect or reload.
+ */
+function clientIp(socket) {
+  const fwd = TRUST_PROXY ? String(socket.handshake.headers["x-forwarded-for"] || "").split(",")[0].trim() : "";
+  return fwd || socket.handshake.address;
+}
+
+function newPlayer(socket, name, teamId, isSpectator) {
+  return {
+    socketId: socket.id,
+    id: nanoid(8),
+    token: nanoid(24),
+    ip: clientIp(socket),
+    connected: true,
+    name,
+    teamId,
+    isHost: false,
+    isSpectator
+  };
+}
+
+// Players saved before active/alternate existed count as active.
+function isActive(p) {
+  return p.active !== false;
+}
+
+function hasActiveSlot(room, teamId, exceptPlayer) {
+  const max = room.settings.activePlayers || Infinity;
+  let n = 0;
+  for (const p of room.players.values()) {
+    if (p !== exceptPlayer && !p.isHost && !p.isSpectator && p.teamId === teamId && isActive(p)) n++;
+  }
+  return n < max;
+}
+
+// Put a player on a team: active if a slot is free and substitutions are open
+// right now, otherwise an alternate. Individual entries are always active.
+function seatOnTeam(room, p, teamId) {
+  p.teamId = teamId;
+  p.isSpectator = false;
+  p.active = room.individual || (subsAllowed(room) && hasActiveSlot(room, teamId, p));
+}
+
+function subsAllowed(room) {
+  if (room.match.tossupNumber === 0 && room.phase === "lobby") return true;
+  if (room.phase === "halftime") return true;
+  if (room.settings.subsHalftimeOnly) return false;
+  return room.phase === "lobby" || room.phase === "tossup_closed";
+}
+
+function findPlayerByToken(room, token) {
+  for (const p of room.players.values()) {
+    if (p.token && p.token === token) return p;
+  }
+  return null;
+}
+
+function findPlayerById(room, id) {
+  for (const p of room.players.values()) {
+    if (!p.isHost && p.id === id) return p;
+  }
+  return null;
+}
+
+function ensureModeration(room) {
+  if (!room.bans) room.bans = { tokens: [], ips: [] };
+}
+
+function isBanned(room, socket, token) {
+  ensureModeration(room);
+  return (!!token && room.bans.tokens.includes(token)) || room.bans.ips.includes(clientIp(socket));
+}
+
+// Seats are held by offline players too, so they count against the cap until
+// SEAT_GRACE_MS has passed. A player who reclaims their seat after that keeps
+// it even if the team has since filled up.
+function teamIsFull(room, teamId, exceptPlayer) {
+  const cap = room.settings.teamCap;
+  if (!cap) return false;
+  let n = 0;
+  for (const p of room.players.values()) {
+    if (p === exceptPlayer || p.isHost || p.isSpectator || p.teamId !== teamId) continue;
+    if (p.connected === false && now() - (p.disconnectedAt || 0) > SEAT_GRACE_MS) continue;
+    n++;
+  }
+  return n >= cap;
+}
+
+// A player who leaves a team stops being its captain.
+function dropCaptaincy(room, p) {
+  const team = p.teamId ? room.teams.get(p.teamId) : null;
+  if (team && team.captainId === p.id) team.captainId = null;
+}
+
+// Who may give the bonus answer: the captain, or anyone active if there's none.
+function canAnswerBonus(room, p) {
+  const team = room.teams.get(room.activeBonusTeamId);
+  if (!team || p.teamId !== team.id || p.isSpectator) return false;
+  return team.captainId ? team.captainId === p.id : isActive(p);
+}
+
+// Take a player out of the room and tell their socket (if still connected).
+function removePlayer(room, p, banned) {
+  dropCaptaincy(room, p);
+  room.players.delete(p.socketId);
+  pruneBuzzQueue(room);
+
+  const s = io.sockets.sockets.get(p.socketId);
+  if (s) {
+    s.emit("kicked", { code: room.code, banned });
+    s.leave(room.code);
+  }
+}
+
+/* ---------------- Buzz helpers ---------------- */
+// Identifies a player across toss-ups for stats. This is the public player
+// id, never the reclaim token.
+function playerKey(p) {
+  return p.id;
+}
+
+function clearBuzz(room) {
+  if (room.buzzWindowTimeout) {
+    clearTimeout(room.buzzWindowTimeout);
+    room.buzzWindowTimeout = null;
+  }
+  clearAnswerTimeout(room);
+  room.buzz = { locked: false };
+}
+
+/* ---------------- Buzz queue ----------------
+ * Everyone who pressed after the buzz was taken, in order, like the lockout
+ * order on a hardware buzzer system. It survives an incorrect answer so the
+ * next buzzer can be called on, and is dropped once the toss-up is over.
+ */
+function teamMayBuzz(room, teamId) {
+  if (!teamId || room.tossupLockedTeams.has(teamId)) return false;
+  const tb = room.match.tiebreaker;
+  return !(tb?.active && tb.onlyTied && !tb.teamIds.includes(teamId));
+}
+
+function clearBuzzQueue(room) {
+  room.buzzQueue = [];
+}
+
+function enqueueBuzz(room, entry) {
+  if (room.buzz.winnerSocketId === entry.socketId) return;
+  if (room.buzzQueue.some((q) => q.socketId === entry.socketId)) return;
+  room.buzzQueue.push({
+    socketId: entry.socketId,
+    name: entry.name,
+    teamId: entry.teamId,
+    playerKey: entry.playerKey,
+    at: entry.at
+  });
+}
+
+// Drop entries whose team has been locked out, and players who have left,
+// dropped out, changed team or been benched.
+function pruneBuzzQueue(room) {
+  room.buzzQueue = room.buzzQueue.filter((q) => {
+    const p = room.players.get(q.socketId);
+    return !!p && p.connected !== false && p.teamId === q.teamId && isActive(p) && teamMayBuzz(room, q.teamId);
+  });
+}
+
+// Hand the buzz to the first eligible queued player. Returns false if none.
+function promoteNextBuzz(room) {
+  pruneBuzzQueue(room);
+  const next = room.buzzQueue.shift();
+  if (!next) return false;
+
+  if (room.phase === "tossup_live") {
+    stopTimer(room);
+    clearTossupEndTimeout(room);
+  }
+  clearBuzz(room);
+  room.buzz = {
+    locked: true,
+    winnerSocketId: next.socketId,
+    winnerName: next.name,
+    winnerTeamId: next.teamId,
+    winnerPlayerKey: next.playerKey,
+    at: next.at,
+    interruptChoice: null,
+    promoted: true
+  };
+  openAnswerWindow(room);
+  return true;
+}
+
+/* ---------------- Online answers ----------------
+ * With `answerSeconds` set, the buzz winner types their answer (or picks
+ * W/X/Y/Z) instead of saying it. It is graded against the packet's answer
+ * line and shown to the host and officials with a suggested ruling; the
+ * ruling itself still goes through host_mark_answer. Nobody else sees the
+ * answer until it's ruled on, when it lands in the row's buzz record.
+ */
+function clearAnswerTimeout(room) {
+  if (room.answerTimeout) {
+    clearTimeout(room.answerTimeout);
+    room.answerTimeout = null;
+  }
+}
+
+function openAnswerWindow(room) {
+  const secs = room.settings.answerSeconds;
+  if (!secs || !room.buzz.locked) return;
+
+  room.buzz.answerType = currentPair(room)?.tossup?.type || "sa";
+  room.buzz.answerEndsAt = now() + secs * 1000;
+  scheduleAnswerTimeout(room);
+}
+
+// Arms the timeout for an open answer window from its absolute end time, so
+// a window carried over a restart expires when it would have.
+function scheduleAnswerTimeout(room) {
+  clearAnswerTimeout(room);
+  const buzz = room.buzz;
+  if (!buzz.locked || !buzz.answerEndsAt || buzz.submission) return;
+
+  room.answerTimeout = setTimeout(() => {
+    room.answerTimeout = null;
+    if (room.buzz !== buzz || buzz.submission) return;
+    buzz.submission = {
+      answer: "",
+      at: now(),
+      timedOut: true,
+      suggestion: { verdict: "incorrect", reason: "No answer in time." }
+    };
+    broadcast(room);
+  }, Math.max(0, buzz.answerEndsAt - now()) + ANSWER_GRACE_MS);
+}
+
+/* ---------------- Clock sync + buzz arbitration ---------------- */
+// Server-initiated ping: the client acks with its own clock. Keeps the
+// lowest-RTT sample of the last few, which gives the best offset estimate.
+function syncClock(socket) {
+  const t0 = now();
+  socket.timeout(2000).emit("clock_sync", { serverNow: t0 }, (err, resp) => {
+    if (err || !Number.isFinite(resp?.clientNow)) return;
+    const t1 = now();
+    const rttMs = t1 - t0;
+    const sample = { rttMs, offsetMs: resp.clientNow - (t0 + rttMs / 2) };
+
+    const samples = [...(socket.data.clockSamples || []), sample].slice(-CLOCK_SYNC_SAMPLES);
+    socket.data.clockSamples = samples;
+    socket.data.clock = samples.reduce((best, x) => (x.rttMs < best.rttMs ? x : best));
+  });
+}
+
+// Server-time estimate of when the player actually pressed, bounded so no
+// client can claim more than its one-way delay (or the global cap) of head
+// start. A press can't precede its arrival by more than the trip there.
+function correctedPressTime(socket, pressedAt, arrivedAt) {
+  const clock = socket.data.clock;
+  if (!clock || !Number.isFinite(pressedAt)) return { at: arrivedAt, correctionMs: 0 };
+
+  const claimed = pressedAt - clock.offsetMs;
+  const maxCorrection = Math.min(MAX_BUZZ_CORRECTION_MS, clock.rttMs / 2);
+  const correctionMs = Math.round(Math.min(maxCorrection, Math.max(0, arrivedAt - claimed)));
+  return { at: arrivedAt - correctionMs, correctionMs };
+}
+
+// Close the collection window: award the buzz to the earliest corrected press.
+function resolveBuzzWindow(room) {
+  room.buzzWindowTimeout = null;
+  const candidates = room.buzz.candidates || [];
+  if (!room.buzz.pending || !candidates.length) return;
+
+  const byCorrected = [...candidates].sort((a, b) => a.at - b.at || a.arrivedAt - b.arrivedAt);
+  const byArrival = [...candidates].sort((a, b) => a.arrivedAt - b.arrivedAt);
+  const w = byCorrected[0];
+  const top = (list) =>
+    list.slice(0, 3).map((c) => ({
+      name: c.name,
+      teamId: c.teamId,
+      arrivedAt: c.arrivedAt,
+      at: c.at,
+      correctionMs: c.correctionMs
+    }));
+
+  room.buzz = {
+    locked: true,
+    winnerSocketId: w.socketId,
+    winnerName: w.name,
+    winnerTeamId: w.teamId,
+    winnerPlayerKey: w.playerKey,
+    at: w.at,
+    interruptChoice: null,
+    arbitration: { raw: top(byArrival), corrected: top(byCorrected) }
+  };
+  room.buzzQueue = room.buzzQueue.filter((q) => q.socketId !== w.socketId);
+  for (const c of byCorrected.slice(1)) enqueueBuzz(room, c);
+  openAnswerWindow(room);
+}
+
+/* ---------------- Bonus conferral ----------------
+ * A private chat + shared scratchpad for the active players of the team on
+ * the bonus. It only ever goes to those players' sockets and the host; when
+ * the bonus ends it moves to a host-only archive (included in the JSON export).
+ */
+const CONFERRAL_ARCHIVE_LIMIT = 100;
+const CONFERRAL_MESSAGE_MAX = 300;
+const SCRATCHPAD_MAX = 2000;
+
+function conferralOpen(room) {
+  return (room.phase === "bonus_reading" || room.phase === "bonus_live") && !!room.activeBonusTeamId;
+}
+
+// The channel for the current bonus, started fresh for each new bonus.
+function currentConferral(room) {
+  if (!conferralOpen(room)) return null;
+  const c = room.conferral;
+  if (!c || c.teamId !== room.activeBonusTeamId || c.num !== room.match.tossupNumber) {
+    room.conferral = { teamId: room.activeBonusTeamId, num: room.match.tossupNumber, messages: [], scratchpad: "" };
+  }
+  return room.conferral;
+}
+
+function mayConfer(room, p) {
+  return !!p && !p.isSpectator && p.teamId === room.activeBonusTeamId && isActive(p);
+}
+
+// Ends the current channel: its players' panels are cleared and anything
+// they wrote goes to the archive.
+function closeConferral(room) {
+  const c = room.conferral;
+  room.conferral = null;
+  if (!c) return;
+  for (const p of room.players.values()) {
+    if (p.connected !== false && p.teamId === c.teamId) io.to(p.socketId).emit("conferral_closed", { num: c.num });
+  }
+  if (!c.messages.length && !c.scratchpad) return;
+
+  if (!room.conferralArchive) room.conferralArchive = [];
+  room.conferralArchive.push({ ...c, closedAt: now() });
+  if (room.conferralArchive.length > CONFERRAL_ARCHIVE_LIMIT) room.conferralArchive.shift();
+}
+
+function emitConferral(room) {
+  const c = currentConferral(room);
+  if (!c) return;
+  for (const p of room.players.values()) {
+    if (p.connected !== false && mayConfer(room, p)) io.to(p.socketId).emit("conferral", c);
+  }
+}
+
+/* ---------------- Room chat ----------------
+ * One history per room, sent on join. Three kinds of message: "chat" from
+ * players/host, "announcement" from the host (the latest is also pinned), and
+ * "system" for room events like the host dropping out.
+ */
+const CHAT_HISTORY_LIMIT = 200;
+const CHAT_MESSAGE_MAX = 300;
+
+function questionLive(room) {
+  return ["tossup_reading", "tossup_live", "bonus_reading", "bonus_live"].includes(room.phase);
+}
+
+function pushChat(room, msg) {
+  if (!room.chat) room.chat = [];
+  const full = { id: nanoid(8), at: now(), ...msg };
+  room.chat.push(full);
+  if (room.chat.length > CHAT_HISTORY_LIMIT) room.chat.shift();
+  io.to(room.code).emit("chat_message", full);
+  persist(room);
+  return full;
+}
+
+function systemMessage(room, event, text) {
+  return pushChat(room, { kind: "system", event, text });
+}
+
+function sendChatHistory(socket, room) {
+  socket.emit("chat_history", { code: room.code, messages: room.chat || [] });
+}
+
+/* ---------------- State + broadcast ---------------- */
+function publicState(room) {
+  const teams = [...room.teams.values()].map((t) => ({ ...t }));
+  const players = [...room.players.values()].map((p) => ({
+    socketId: p.socketId,
+    id: p.id,
+    connected: p.connected !== false,
+    muted: !!p.muted,
+    active: !p.isSpectator && !!p.teamId && isActive(p),
+    name: p.name,
+    teamId: p.teamId,
+    isHost: p.isHost,
+    isSpectator: !!p.isSpectator,
+    official: p.officialId ? findOfficial(room, p.officialId)?.role || null : null
+  }));
+
+  const buzz = room.buzz.locked
+    ? {
+        locked: true,
+        winnerSocketId: room.buzz.winnerSocketId,
+        winnerName: room.buzz.winnerName,
+        winnerTeamId: room.buzz.winnerTeamId,
+        at: room.buzz.at,
+        interruptChoice: room.buzz.interruptChoice,
+        promoted: !!room.buzz.promoted,
+        answerType: room.buzz.answerType || null,
+        answerEndsAt: room.buzz.answerEndsAt || null,
+        submitted: !!room.buzz.submission
+      }
+    : { locked: false };
+
+  return {
+    code: room.code,
+    roomName: room.roomName,
+    individual: !!room.individual,
+    hostSocketId: room.hostSocketId,
+    settings: room.settings,
+    teamLimits: { min: TEAMS_MIN, max: TEAMS_MAX },
+    teams,
+    players,
+    phase: room.phase,
+    activeBonusTeamId: room.activeBonusTeamId,
+    bonusReady: room.bonusReady || null,
+    buzz,
+    buzzQueue: room.buzzQueue.map((q) => ({ name: q.name, teamId: q.teamId })),
+    autoPromoteBuzz: !!room.autoPromoteBuzz,
+    locked: !!room.locked,
+    bannedCount: room.bans?.tokens.length || 0,
+    announcement: room.announcement || null,
+    chatQuiet: !!room.chatQuiet,
+    timer: computeTimerSnapshot(room),
+    gameClock: computeGameClockSnapshot(room),
+    clocksStopped: !!room.clocksStopped,
+    tossupLockedTeams: [...room.tossupLockedTeams],
+    match: room.match,
+    stats: playerStats(room.match),
+    journal: journalSummary(room)
+  };
+}
+
+// Question/answer text only ever goes to the host socket, never to the room.
+function hostState(room) {
+  const pair = currentPair(room);
+  return {
+    code: room.code,
+    packet: room.packet
+      ? { name: room.packet.name, count: room.packet.pairs.length, index: room.match.packetIndex }
+      : null,
+    tossup: pair?.tossup || null,
+    bonus: pair?.bonus || null,
+    arbitration: room.buzz.locked ? room.buzz.arbitration || null : null,
+    submission: room.buzz.locked ? room.buzz.submission || null : null,
+    conferral: currentConferral(room)
+  };
+}
+
+// An official only gets what their role works with: question text to read
+// or rule on it, and answers, typed submissions and the conferral only to
+// rule on answers. A timekeeper sees none of it.
+function scopeHostState(base, permissions) {
+  const reads = permissions.includes("read") || permissions.includes("judge");
+  const judges = permissions.includes("judge");
+  const question = (q) => (q && reads ? (judges ? q : { ...q, answer: null }) : null);
+  return {
+    ...base,
+    tossup: question(base.tossup),
+    bonus: question(base.bonus),
+    arbitration: reads ? base.arbitration : null,
+    submission: judges ? base.submission : null,
+    conferral: judges ? base.conferral : null
+  };
+}
+
+// The reader view goes to the host and every official, scoped by role; only
+// the host gets the official links.
+function emitHostState(room) {
+  const base = hostState(room);
+  if (room.hostSocketId) {
+    const officials = ensureOfficials(room).map((o) => ({
+      ...o,
+      connected: officialPlayers(room).filter((p) => p.officialId === o.id).map((p) => p.name)
+    }));
+    io.to(room.hostSocketId).emit("host_state", { ...base, role: "host", permissions: HOST_PERMISSIONS, officials });
+  }
+  for (const p of officialPlayers(room)) {
+    const o = findOfficial(room, p.officialId);
+    const { permissions } = OFFICIAL_ROLES[o.role];
+    io.to(p.socketId).emit("host_state", { ...scopeHostState(base, permissions), role: o.role, permissions });
+  }
+}
+
+function broadcast(room) {
+  persist(room);
+  io.to(room.code).emit("state", publicState(room));
+  emitHostState(room);
+  emitConferral(room);
+  if (room.tournament) syncTournamentMatch(room);
+}
+
+/* ---------------- Tournament play ----------------
+ * The director registers teams, draws pools and opens rounds; opening a
+ * round creates one room per match (with no host until the moderator opens
+ * the host link). Every broadcast from a tournament room refreshes the
+ * dashboard, and a room reaching match_over writes its result back.
+ *
+ * Anyone with the tournament code can watch standings and the bracket
+ * (`tournament-watch:<id>`); that copy never carries host keys.
+ */
+function persistTournament(t) {
+  tournamentStore.schedule(t.id, () => t);
+}
+
+function requireTournament(id, socket) {
+  const t = tournaments.get(String(id || "").toUpperCase().trim());
+  if (!t) socket.emit("error_msg", "Tournament not found.");
+  return t || null;
+}
+
+function requireDirector(t, socket, directorKey) {
+  if (!directorKey || directorKey !== t.directorKey) {
+    socket.emit("error_msg", "Director only.");
+    return false;
+  }
+  return true;
+}
+
+// Live view of a match's room, read off the same state the room broadcasts.
+function liveMatch(m) {
+  const room = m.roomCode ? rooms.get(m.roomCode) : null;
+  if (!room) return null;
+  const st = publicState(room);
+  const scores = {};
+  for (const team of st.teams) if (team.tournamentTeamId) scores[team.tournamentTeamId] = team.score;
+  return { phase: st.phase, tossupNumber: st.match.tossupNumber, half: st.match.half, scores, hostConnected: !!st.hostSocketId };
+}
+
+function tournamentState(t, { director = true } = {}) {
+  const match = (m) => {
+    const { hostKey, ...rest } = m;
+    return { ...rest, ...(director ? { hostKey } : {}), live: liveMatch(m) };
+  };
+  return {
+    id: t.id,
+    name: t.name,
+    settings: t.settings,
+    teams: t.teams,
+    pools: t.pools,
+    rounds: t.rounds.map((r) => ({ num: r.num, matches: r.matches.map(match) })),
+    bracket: t.bracket && {
+      format: t.bracket.format,
+      seeds: t.bracket.seeds,
+      championId: t.bracket.championId || null,
+      rounds: t.bracket.rounds.map((r) => ({ ...r, matches: r.matches.map(match) }))
+    },
+    standings: poolStandings(t)
+  };
+}
+
+function broadcastTournament(t) {
+  io.to(`tournament:${t.id}`).emit("tournament_state", tournamentState(t));
+  io.to(`tournament-watch:${t.id}`).emit("tournament_public", tournamentState(t, { director: false }));
+}
+
+function syncTournamentMatch(room) {
+  const t = tournaments.get(room.tournament.id);
+  const m = t && findMatch(t, room.tournament.matchId);
+  if (!m) return;
+
+  const r = room.match.result;
+  let result = null;
+  if (room.phase === "match_over" && r) {
+    const scores = {};
+    for (const team of room.teams.values()) scores[team.tournamentTeamId] = team.score;
+    const winner = r.tie ? null : room.teams.get(r.winnerTeamIds[0]);
+    result = { scores, winnerId: winner?.tournamentTeamId || null, tie: r.tie, finishedAt: r.endedAt };
+  }
+  const resultChanged = JSON.stringify(result) !== JSON.stringify(m.result);
+  if (resultChanged) {
+    m.result = result;
+    resolveBracket(t);
+    persistTournament(t);
+  }
+
+  // Every buzz, tick and chat line broadcasts the room; the tournament only
+  // hears about it when the result or the live score/phase summary moves.
+  const live = JSON.stringify(liveMatch(m));
+  if (!resultChanged && tournamentLiveSent.get(room.code) === live) return;
+  tournamentLiveSent.set(room.code, live);
+  broadcastTournament(t);
+}
+
+function openMatchRoom(t, round, m) {
+  const code = uniqueCode();
+  const teams = m.teamIds.map((id) => t.teams.find((x) => x.id === id));
+  const room = newRoom(
+    code,
+    `${t.name} ${round.name || `R${round.num}`}: ${teams.map((x) => x.name).join(" vs ")}`.slice(0, 80),
+    nanoid(24),
+    structuredClone(t.settings),
+    teams.map((x) => x.name)
+  );
+  [...room.teams.values()].forEach((team, i) => (team.tournamentTeamId = teams[i].id));
+  room.tournament = { id: t.id, matchId: m.id, round: round.num };
+
+  rooms.set(code, room);
+  persist(room);
+  m.roomCode = code;
+  m.hostKey = room.hostKey;
+}
+
+/* ---------------- HTTP export ---------------- */
+// GET /rooms/:code/export?format=csv|json|html with the host key in the
+// x-host-key header (kept out of the URL so request logs never carry it)
+app.get("/rooms/:code/export", (req, res) => {
+  const code = String(req.params.code || "").toUpperCase().trim();
+  const room = rooms.get(code);
+  if (!room) return res.status(404).send("Room not found.");
+
+  const hostKey = req.get("x-host-key");
+  if (!hostKey || hostKey !== room.hostKey) return res.status(403).send("Host only.");
+
+  const format = String(req.query.format || "json").toLowerCase();
+  const base = `scibowl-${room.code}-${new Date().toISOString().slice(0, 10)}`;
+
+  if (format === "csv") {
+    res.type("text/csv").attachment(`${base}.csv`).send(exportCsv(room));
+  } else if (format === "html") {
+    res.type("html").send(scoresheetHtml(room));
+  } else if (format === "json") {
+    res.attachment(`${base}.json`).json(exportJson(room));
+  } else {
+    res.status(400).send("Unknown format.");
+  }
+});
+
+/* ---------------- Socket.io handlers ---------------- */
+io.on("connection", (socket) => {
+  for (let i = 0; i < CLOCK_SYNC_SAMPLES; i++) setTimeout(() => syncClock(socket), i * 300);
+  const clockSyncInterval = setInterval(() => syncClock(socket), CLOCK_SYNC_MS);
+  socket.on("disconnect", () => clearInterval(clockSyncInterval));
+
+  socket.on("create_room", ({ hostName, roomName, numTeams, preset, rules, individual }) => {
+    const code = uniqueCode();
+    const hostKey = nanoid(24);
+
+    const rn = String(roomName || "").trim().slice(0, 40) || `Room ${code}`;
+    const n = Number(numTeams);
+    const teamCount = Number.isFinite(n) ? Math.min(8, Math.max(2, Math.round(n))) : 2;
+    if (!presetFits(preset, individual)) return socket.emit("error_msg", "Those rules are for individual rooms.");
+    const settings = buildRules(preset || DEFAULT_PRESET, rules);
+    const teamNames = individual ? [] : Array.from({ length: teamCount }, (_, i) => `Team ${String.fromCharCode(65 + i)}`);
+
+    const room = newRoom(code, rn, hostKey, settings, teamNames, !!individual);
+    room.hostSocketId = socket.id;
+
+    room.players.set(socket.id, {
+      socketId: socket.id,
+      name: (hostName?.trim() || "Host").slice(0, 24),
+      teamId: null,
+      isHost: true,
+      isSpectator: false
+    });
+
+    rooms.set(code, room);
+    socket.join(code);
+
+    socket.emit("room_created", { code, hostKey });
+    broadcast(room);
+  });
+
+  socket.on("peek_room", ({ code }, ack) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = rooms.get(code);
+
+    if (!room) {
+      if (typeof ack === "function") ack({ ok: false, error: "Room not found." });
+      return;
+    }
+
+    const payload = {
+      ok: true,
+      code: room.code,
+      roomName: room.roomName,
+      locked: !!room.locked,
+      individual: !!room.individual,
+      teams: [...room.teams.values()].map((t) => ({ id: t.id, name: t.name }))
+    };
+
+    if (typeof ack === "function") ack(payload);
+  });
+
+  // `individual` lists the presets for individual rooms; leave it off for team rooms.
+  socket.on("list_presets", ({ individual } = {}, ack) => {
+    if (typeof ack === "function") ack({ ok: true, presets: presetList(individual) });
+  });
+
+  socket.on("host_set_room_name", ({ code, roomName, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
+
+    const rn = String(roomName || "").trim().slice(0, 40);
+    if (!rn) return;
+    room.roomName = rn;
+    broadcast(room);
+  });
+
+  socket.on("host_set_team_name", ({ code, teamId, name, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
+
+    const t = room.teams.get(teamId);
+    if (!t) return;
+
+    const nm = String(name || "").trim().slice(0, 24);
+    if (!nm) return;
+
+    t.name = nm;
+    broadcast(room);
+  });
+
+  socket.on("host_add_team", ({ code, name, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
+    if (room.tournament) return socket.emit("error_msg", "Tournament rooms keep their assigned teams.");
+    if (room.individual) return socket.emit("error_msg", "Players get their own entry when they join.");
+    if (room.teams.size >= TEAMS_MAX) return socket.emit("error_msg", `A room can have at most ${TEAMS_MAX} teams.`);
+    if (!teamsEditable(room)) return socket.emit("error_msg", "Teams can only change between questions.");
+
+    const used = new Set([...room.teams.values()].map((t) => t.name));
+    let i = 0;
+    while (used.has(`Team ${String.fromCharCode(65 + i)}`)) i++;
+    addTeam(room, String(name || "").trim().slice(0, 24) || `Team ${String.fromCharCode(65 + i)}`);
+
+    recomputeFromRows(room);
+    broadcast(room);
+  });
+
+  // Removing a team rewrites the scoresheet under the undo history, so the
+  // team is taken out of every snapshot and the journal is trimmed back past
+  // the last entry where it held the buzz or the bonus.
+  socket.on("host_remove_team", ({ code, teamId, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
+    if (room.tournament) return socket.emit("error_msg", "Tournament rooms keep their assigned teams.");
+    if (!room.teams.has(teamId)) return socket.emit("error_msg", "Team not found.");
+    if (!room.individual && room.teams.size <= TEAMS_MIN) return socket.emit("error_msg", `A room needs at least ${TEAMS_MIN} teams.`);
+    if (!teamsEditable(room)) return socket.emit("error_msg", "Teams can only change between questions.");
+
+    const name = room.teams.get(teamId).name;
+    removeTeam(room, teamId);
+    dropTeamFromJournal(room, teamId);
+    recomputeFromRows(room);
+    systemMessage(room, "team_removed", `${name} was removed from the match.`);
+    broadcast(room);
+  });
+
+  // `teamIds` is the full new order.
+  socket.on("host_reorder_teams", ({ code, teamIds, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
+
+    const ids = Array.isArray(teamIds) ? teamIds : [];
+    if (ids.length !== room.teams.size || new Set(ids).size !== ids.length || !ids.every((id) => room.teams.has(id))) {
+      return socket.emit("error_msg", "Invalid team order.");
+    }
+    if (!teamsEditable(room)) return socket.emit("error_msg", "Teams can only change between questions.");
+
+    room.teams = new Map(ids.map((id) => [id, room.teams.get(id)]));
+    broadcast(room);
+  });
+
+  socket.on("host_set_rules", ({ code, preset, rules, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
+
+    // The room drops back to "lobby" after every bonus; rows already scored
+    // must stay valid under the rules they were played with.
+    if (room.phase !== "lobby" || room.match.tossupNumber > 0 || room.match.rows.length) {
+      socket.emit("error_msg", "Rules can only be changed before the first toss-up.");
+      return;
+    }
+
+    if (!presetFits(preset, room.individual)) return socket.emit("error_msg", "Those rules are for individual rooms.");
+    room.settings = buildRules(preset, rules, room.settings);
+    resetTimerFull(room, "tossup", false);
+    clearGameClockTimeout(room);
+    room.gameClock = newGameClock(room.settings);
+    broadcast(room);
+  });
+
+  /* ---- Halves ---- */
+  socket.on("host_start_second_half", ({ code, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "clock")) return;
+    if (room.phase !== "halftime") return;
+
+    journal(room, "Start 2nd half");
+    room.match.half = 2;
+    room.match.halfStartTossup = room.match.tossupNumber;
+    room.gameClock = newGameClock(room.settings);
+    room.phase = "lobby";
+    resetTimerFull(room, "tossup", false);
+    broadcast(room);
+  });
+
+  socket.on("host_end_half", ({ code, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "clock")) return;
+    if (room.phase !== "lobby" && room.phase !== "tossup_closed") return;
+
+    journal(room, "End half");
+    endHalf(room);
+    broadcast(room);
+  });
+
+  socket.on("host_start_tiebreaker", ({ code, teamIds, onlyTied, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
+    if (room.phase !== "match_over") return;
+
+    const ids = (Array.isArray(teamIds) && teamIds.length ? teamIds : tiedTeamIds(room)).filter((id) =>
+      room.teams.has(id)
+    );
+    if (new Set(ids).size < 2) {
+      socket.emit("error_msg", "A tiebreaker needs at least two teams.");
+      return;
+    }
+
+    journal(room, "Start tiebreaker");
+    room.match.tiebreaker = { active: true, teamIds: [...new Set(ids)], onlyTied: onlyTied !== false };
+    room.match.result = null;
+    room.phase = "lobby";
+    room.tossupLockedTeams = new Set();
+    clearBuzz(room);
+    resetTimerFull(room, "tossup", false);
+    broadcast(room);
+  });
+
+  socket.on("host_end_match", ({ code, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
+    if (room.phase === "match_over") return;
+
+    journal(room, "End match");
+    endMatch(room);
+    broadcast(room);
+  });
+
+  /* ---- Packet ---- */
+  socket.on("host_upload_packet", ({ code, content, format, name, hostKey }, ack) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "read")) return;
+    const reply = typeof ack === "function" ? ack : () => {};
+
+    let packet;
+    try {
+      packet = parsePacket(content, format, name);
+    } catch (e) {
+      reply({ ok: false, error: `Packet not loaded: ${e.message}` });
+      return;
+    }
+
+    room.packet = packet;
+    // The next "Start Toss-Up" reads the first pair.
+    room.match.packetIndex = -1;
+
+    reply({ ok: true, name: packet.name, count: packet.pairs.length });
+    broadcast(room);
+  });
+
+  socket.on("host_set_packet_index", ({ code, index, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "read")) return;
+    if (!room.packet) return;
+
+    const i = Number(index);
+    if (!Number.isInteger(i) || i < -1 || i >= room.packet.pairs.length) return;
+
+    room.match.packetIndex = i;
+    broadcast(room);
+  });
+
+  socket.on("host_clear_packet", ({ code, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "read")) return;
+
+    room.packet = null;
+    room.match.packetIndex = -1;
+    broadcast(room);
+  });
+
+  socket.on("host_delete_tossup_row", ({ code, num, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "score")) return;
+
+    if (!room.match || !Array.isArray(room.match.rows)) return;
+    if (room.phase === "match_over") {
+      socket.emit("error_msg", "Match is over; scores are final.");
+      return;
+    }
+
+    const n = Number(num);
+    if (!Number.isFinite(n)) return;
+
+    const idx = room.match.rows.findIndex((r) => r.num === n);
+    if (idx === -1) return;
+
+    journal(room, `Delete toss-up #${n}`);
+    room.match.rows.splice(idx, 1);
+    recomputeFromRows(room);
+    broadcast(room);
+  });
+
+  socket.on("host_edit_row", ({ code, num, teamId, field, value, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "score")) return;
+
+    const row = room.match.rows.find((r) => r.num === Number(num));
+    if (!row) return;
+
+    const plan = planRowEdits(room, row, [{ teamId, field, value }]);
+    if (plan.error) {
+      socket.emit("error_msg", plan.error);
+      return;
+    }
+    if (!plan.changes.length) return;
+
+    journal(room, `Edit #${row.num} ${String(field).toUpperCase()}`);
+    commitRowEdits(room, row, plan, { by: room.players.get(socket.id)?.name || "Host" });
+
+    broadcast(room);
+  });
+
+  /* ---- Challenges ---- */
+  socket.on("file_challenge", ({ code, num, reason }, ack) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room) return;
+    const reply = typeof ack === "function" ? ack : () => {};
+
+    const p = room.players.get(socket.id);
+    if (!p || p.isHost || p.isSpectator || !p.teamId) {
+      reply({ ok: false, error: "Only players on a team can file a challenge." });
+      return;
+    }
+
+    const row = room.match.rows.find((r) => r.num === Number(num));
+    if (!row) {
+      reply({ ok: false, error: "No such toss-up." });
+      return;
+    }
+
+    const text = String(reason || "").trim().slice(0, 200);
+    if (!text) {
+      reply({ ok: false, error: "Say what you are challenging." });
+      return;
+    }
+
+    if (!room.match.challenges) room.match.challenges = [];
+    const dup = room.match.challenges.some(
+      (c) => c.status === "pending" && c.num === row.num && c.teamId === p.teamId
+    );
+    if (dup) {
+      reply({ ok: false, error: "Your team already has a pending challenge on that toss-up." });
+      return;
+    }
+
+    room.match.challenges.push({
+      id: nanoid(8),
+      num: row.num,
+      teamId: p.teamId,
+      playerName: p.name,
+      reason: text,
+      status: "pending",
+      filedAt: now(),
+      resolvedAt: null,
+      ruling: null
+    });
+
+    reply({ ok: true });
+    broadcast(room);
+  });
+
+  // uphold + edits: [{ teamId, field, value }] applied to the challenged row
+  socket.on("host_resolve_challenge", ({ code, id, uphold, edits, note, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "score")) return;
+
+    const c = (room.match.challenges || []).find((x) => x.id === id);
+    if (!c || c.status !== "pending") return;
+
+    const row = room.match.rows.find((r) => r.num === c.num);
+    const by = room.players.get(socket.id)?.name || "Host";
+
+    let plan = null;
+    if (uphold && Array.isArray(edits) && edits.length) {
+      if (!row) {
+        socket.emit("error_msg", "That toss-up row no longer exists.");
+        return;
+      }
+      plan = planRowEdits(room, row, edits);
+      if (plan.error) {
+        socket.emit("error_msg", plan.error);
+        return;
+      }
+    }
+
+    journal(room, `Challenge #${c.num} ${uphold ? "upheld" : "rejected"}`);
+    if (plan?.changes.length) commitRowEdits(room, row, plan, { by, challengeId: c.id });
+
+    c.status = uphold ? "upheld" : "rejected";
+    c.ruling = String(note || "").trim().slice(0, 200) || null;
+    c.resolvedAt = now();
+    c.resolvedBy = by;
+
+    io.to(room.code).emit("challenge_result", {
+      id: c.id,
+      num: c.num,
+      teamName: room.teams.get(c.teamId)?.name || "Team",
+      status: c.status,
+      ruling: c.ruling
+    });
+    broadcast(room);
+  });
+
+  socket.on("join_room", ({ code, name, teamId, spectate, hostKey, officialKey, playerToken }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room) return;
+
+    socket.join(code);
+    const nm = (String(name || "Player").trim() || "Player").slice(0, 24);
+
+    // --- Host reclaim path ---
+    if (hostKey && room.hostKey && hostKey === room.hostKey) {
+      const hostWasAway = !room.hostSocketId;
+
+      // Clear grace shutdown timer if running
+      if (room.hostGraceTimeout) {
+        clearTimeout(room.hostGraceTimeout);
+        room.hostGraceTimeout = null;
+      }
+
+      // Remove any previous host player entry (old socket id)
+      if (room.hostSocketId && room.players.has(room.hostSocketId)) {
+        room.players.delete(room.hostSocketId);
+      }
+
+      room.hostSocketId = socket.id;
+      room.hostLastSeenMs = now();
+
+      room.players.set(socket.id, {
+        socketId: socket.id,
+        name: nm || "Host",
+        teamId: null,
+        isHost: true,
+        isSpectator: false
+      });
+
+      sendChatHistory(socket, room);
+      if (hostWasAway) systemMessage(room, "host_reconnected", "Host reconnected.");
+      broadcast(room);
+      return;
+    }
+
+    // Bans cover every non-host path in, official links included.
+    if (isBanned(room, socket, playerToken ? String(playerToken) : null)) {
+      socket.leave(code);
+      socket.emit("error_msg", "You have been removed from this room.");
+      return;
+    }
+
+    // --- Official link: joins as a non-playing official; one seat per link ---
+    if (officialKey) {
+      const official = ensureOfficials(room).find((o) => o.key === String(officialKey));
+      if (!official) {
+        socket.leave(code);
+        socket.emit("official_revoked", { code });
+        socket.emit("error_msg", "That official link is no longer valid.");
+        return;
+      }
+
+      for (const p of officialPlayers(room)) if (p.officialId === official.id) room.players.delete(p.socketId);
+      room.players.set(socket.id, {
+        socketId: socket.id,
+        id: nanoid(8),
+        name: nm,
+        teamId: null,
+        isHost: false,
+        isSpectator: true,
+        officialId: official.id
+      });
+
+      sendChatHistory(socket, room);
+      broadcast(room);
+      return;
+    }
+
+    // --- Player reclaim path: same seat, name and team as before ---
+    const known = playerToken ? findPlayerByToken(room, String(playerToken)) : null;
+    if (known) {
+      room.players.delete(known.socketId);
+      known.socketId = socket.id;
+      known.connected = true;
+      delete known.disconnectedAt;
+      room.players.set(socket.id, known);
+
+      socket.emit("player_token", { code, playerToken: known.token });
+      sendChatHistory(socket, room);
+      broadcast(room);
+      return;
+    }
+
+    if (room.locked) {
+      socket.leave(code);
+      socket.emit("error_msg", "This room is locked.");
+      return;
+    }
+
+    // Normal spectator
+    if (spectate) {
+      // never overwrite the host if hostSocketId changes later
+      const existing = room.players.get(socket.id);
+      if (existing?.isHost) return;
+
+      room.players.set(socket.id, newPlayer(socket, nm, null, true));
+      socket.emit("player_token", { code, playerToken: room.players.get(socket.id).token });
+      sendChatHistory(socket, room);
+      broadcast(room);
+      return;
+    }
+
+    if (room.individual) {
+      // A stale token from the room URL comes without a name: back to the join form.
+      if (playerToken && !name) return socket.emit("rejoin_failed", { code });
+      if (room.teams.size >= INDIVIDUAL_MAX) {
+        socket.emit("error_msg", `This room already has ${INDIVIDUAL_MAX} players.`);
+        return;
+      }
+
+      const player = newPlayer(socket, nm, null, false);
+      seatOnTeam(room, player, addSoloTeam(room, player).id);
+      room.players.set(socket.id, player);
+      socket.emit("player_token", { code, playerToken: player.token });
+      sendChatHistory(socket, room);
+      broadcast(room);
+      return;
+    }
+
+    if (!teamId || !room.teams.has(teamId)) {
+      if (playerToken && !teamId) return socket.emit("rejoin_failed", { code });
+      socket.emit("error_msg", "Choose a team before joining.");
+      return;
+    }
+
+    if (teamIsFull(room, teamId)) {
+      socket.emit("error_msg", "That team is full.");
+      return;
+    }
+
+    const player = newPlayer(socket, nm, null, false);
+    seatOnTeam(room, player, teamId);
+    room.players.set(socket.id, player);
+    socket.emit("player_token", { code, playerToken: room.players.get(socket.id).token });
+    sendChatHistory(socket, room);
+
+    broadcast(room);
+  });
+
+  /* ---- Tournament director ---- */
+  socket.on("create_tournament", ({ name, preset, rules }, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    if (!presetFits(preset, false)) return reply({ ok: false, error: "Tournament rooms need team rules." });
+    const t = newTournament({
+      id: uniqueCode(),
+      name: String(name || "").trim().slice(0, 60) || "Tournament",
+      settings: buildRules(preset || DEFAULT_PRESET, rules)
+    });
+    tournaments.set(t.id, t);
+    persistTournament(t);
+
+    socket.join(`tournament:${t.id}`);
+    reply({ ok: true, id: t.id, directorKey: t.directorKey });
+    broadcastTournament(t);
+  });
+
+  socket.on("director_join", ({ id, directorKey }) => {
+    const t = requireTournament(id, socket);
+    if (!t || !requireDirector(t, socket, directorKey)) return;
+
+    socket.join(`tournament:${t.id}`);
+    socket.emit("tournament_state", tournamentState(t));
+  });
+
+  socket.on("director_add_teams", ({ id, names, directorKey }) => {
+    const t = requireTournament(id, socket);
+    if (!t || !requireDirector(t, socket, directorKey)) return;
+    if (t.rounds.length) return socket.emit("error_msg", "Teams are fixed once pools are drawn.");
+
+    addTeams(t, Array.isArray(names) ? names : String(names || "").split("\n"));
+    persistTournament(t);
+    broadcastTournament(t);
+  });
+
+  socket.on("director_remove_team", ({ id, teamId, directorKey }) => {
+    const t = requireTournament(id, socket);
+    if (!t || !requireDirector(t, socket, directorKey)) return;
+    if (t.rounds.length) return socket.emit("error_msg", "Teams are fixed once pools are drawn.");
+
+    t.teams = t.teams.filter((x) => x.id !== teamId);
+    persistTournament(t);
+    broadcastTournament(t);
+  });
+
+  // Teams in registration order are treated as seeds for the snake draw.
+  socket.on("director_make_pools", ({ id, poolCount, directorKey }) => {
+    const t = requireTournament(id, socket);
+    if (!t || !requireDirector(t, socket, directorKey)) return;
+    if (allMatches(t).some((m) => m.roomCode)) return socket.emit("error_msg", "Rounds have already started.");
+
+    const n = Math.round(Number(poolCount) || 1);
+    if (n < 1 || t.teams.length < n * 2) return socket.emit("error_msg", "Each pool needs at least two teams.");
+
+    t.pools = makePools(t.teams.map((x) => x.id), n);
+    t.rounds = poolSchedule(t.pools);
+    t.bracket = null;
+    persistTournament(t);
+    broadcastTournament(t);
+  });
+
+  // Change who plays or who moderates a match. Teams are locked once its room exists.
+  socket.on("director_assign", ({ id, matchId, teamIds, moderator, directorKey }) => {
+    const t = requireTournament(id, socket);
+    if (!t || !requireDirector(t, socket, directorKey)) return;
+
+    const m = findMatch(t, matchId);
+    if (!m) return socket.emit("error_msg", "Match not found.");
+
+    if (teamIds) {
+      if (m.slots) return socket.emit("error_msg", "Bracket pairings follow the results.");
+      if (m.roomCode) return socket.emit("error_msg", "That match's room is already open.");
+      const ids = [...new Set(teamIds)];
+      if (ids.length !== 2 || !ids.every((tid) => t.teams.some((x) => x.id === tid))) {
+        return socket.emit("error_msg", "Pick two different teams.");
+      }
+      m.teamIds = ids;
+    }
+    if (moderator !== undefined) m.moderator = String(moderator || "").trim().slice(0, 40);
+
+    persistTournament(t);
+    broadcastTournament(t);
+  });
+
+  socket.on("director_open_round", ({ id, round, directorKey }) => {
+    const t = requireTournament(id, socket);
+    if (!t || !requireDirector(t, socket, directorKey)) return;
+
+    const r = t.rounds.find((x) => x.num === Number(round));
+    if (!r) return socket.emit("error_msg", "Round not found.");
+
+    for (const m of r.matches) if (!m.roomCode) openMatchRoom(t, r, m);
+    persistTournament(t);
+    broadcastTournament(t);
+  });
+
+  // Seed a bracket from the final pool standings: the top `perPool` teams
+  // of every pool, pool winners first.
+  socket.on("director_make_bracket", ({ id, format, perPool, directorKey }) => {
+    const t = requireTournament(id, socket);
+    if (!t || !requireDirector(t, socket, directorKey)) return;
+    if (bracketMatches(t).some((m) => m.roomCode)) return socket.emit("error_msg", "The bracket has already started.");
+    if (t.rounds.some((r) => r.matches.some((m) => !m.result))) return socket.emit("error_msg", "Finish pool play first.");
+
+    const seeds = bracketSeeds(t, Math.max(1, Math.round(Number(perPool) || 1)));
+    const min = format === "double" ? 3 : 2;
+    if (seeds.length < min) return socket.emit("error_msg", `A bracket needs at least ${min} teams.`);
+
+    t.bracket = buildBracket(seeds, format);
+    resolveBracket(t);
+    persistTournament(t);
+    broadcastTournament(t);
+  });
+
+  // Opens every match in the round whose two teams are known.
+  socket.on("director_open_bracket_round", ({ id, round, directorKey }) => {
+    const t = requireTournament(id, socket);
+    if (!t || !requireDirector(t, socket, directorKey)) return;
+
+    const r = t.bracket?.rounds.find((x) => x.num === Number(round));
+    if (!r) return socket.emit("error_msg", "Round not found.");
+
+    const ready = r.matches.filter((m) => !m.roomCode && !m.bye && m.teamIds.every(Boolean));
+    if (!ready.length) return socket.emit("error_msg", "No matches in that round are ready yet.");
+
+    for (const m of ready) openMatchRoom(t, r, m);
+    persistTournament(t);
+    broadcastTournament(t);
+  });
+
+  // Public standings / bracket page.
+  socket.on("watch_tournament", ({ id }) => {
+    const t = requireTournament(id, socket);
+    if (!t) return;
+
+    socket.join(`tournament-watch:${t.id}`);
+    socket.emit("tournament_public", tournamentState(t, { director: false }));
+  });
+
+  /* ---- Officials ---- */
+  socket.on("host_add_official", ({ code, role, label, hostKey }, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
+
+    if (!OFFICIAL_ROLES[role]) return socket.emit("error_msg", "Unknown official role.");
+    const officials = ensureOfficials(room);
+    if (officials.length >= OFFICIALS_MAX) return socket.emit("error_msg", `At most ${OFFICIALS_MAX} official links per room.`);
+
+    const official = {
+      id: nanoid(8),
+      key: nanoid(24),
+      role,
+      label: String(label || "").trim().slice(0, 40) || OFFICIAL_ROLES[role].label,
+      createdAt: now()
+    };
+    officials.push(official);
+    reply({ ok: true, official });
+    broadcast(room);
+  });
+
+  // Anyone using the link is demoted to spectator on the spot.
+  socket.on("host_revoke_official", ({ code, officialId, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
+
+    const officials = ensureOfficials(room);
+    if (!officials.some((o) => o.id === officialId)) return socket.emit("error_msg", "Official not found.");
+    room.officials = officials.filter((o) => o.id !== officialId);
+
+    for (const p of officialPlayers(room)) {
+      if (p.officialId !== officialId) continue;
+      delete p.officialId;
+      io.to(p.socketId).emit("official_revoked", { code });
+    }
+    broadcast(room);
+  });
+
+  /* ---- Chat ---- */
+  socket.on("chat_send", ({ code, text }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room) return;
+
+    const p = room.players.get(socket.id);
+    if (!p) return;
+    if (!p.isHost && !p.officialId) {
+      if (p.muted) return socket.emit("error_msg", "You have been muted by the host.");
+      if (room.chatQuiet && questionLive(room)) return socket.emit("error_msg", "Chat is paused during questions.");
+    }
+
+    const msg = String(text || "").trim().slice(0, CHAT_MESSAGE_MAX);
+    if (!msg) return;
+
+    pushChat(room, {
+      kind: "chat",
+      playerId: p.id || null,
+      name: p.name,
+      teamId: p.teamId,
+      isHost: !!p.isHost,
+      official: officialOf(room, socket)?.role || null,
+      text: msg
+    });
+  });
+
+  // Posts to the chat and pins it above the game until cleared or replaced.
+  socket.on("host_announce", ({ code, text, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
+
+    const msg = String(text || "").trim().slice(0, CHAT_MESSAGE_MAX);
+    if (!msg) {
+      room.announcement = null;
+    } else {
+      const posted = pushChat(room, { kind: "announcement", name: room.players.get(socket.id)?.name || "Host", text: msg });
+      room.announcement = { text: msg, at: posted.at };
+    }
+    broadcast(room);
+  });
+
+  socket.on("host_mute_player", ({ code, playerId, muted, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
 
-    const payload = {
-      ok: true,
-      code: room.code,
-      roomName: room.roomName,
-      teams: [...room.teams.values()].map((t) => ({ id: t.id, name: t.name }))
-    };
+    const p = findPlayerById(room, playerId);
+    if (!p) return socket.emit("error_msg", "Player not found.");
 
-    if (typeof ack === "function") ack(payload);
+    p.muted = !!muted;
+    broadcast(room);
   });
 
-  socket.on("host_set_room_name", ({ code, roomName, hostKey }) => {
+  // While on, only the host can chat during toss-ups and bonuses.
+  socket.on("host_set_chat_quiet", ({ code, enabled, hostKey }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
     if (!room || !requireHost(room, socket, hostKey)) return;
 
-    const rn = String(roomName || "").trim().slice(0, 40);
-    if (!rn) return;
-    room.roomName = rn;
+    room.chatQuiet = !!enabled;
     broadcast(room);
   });
 
-  socket.on("host_set_team_name", ({ code, teamId, name, hostKey }) => {
+  /* ---- Moderation ---- */
+  // teamId null moves the player to spectators.
+  socket.on("host_move_player", ({ code, playerId, teamId, hostKey }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
     if (!room || !requireHost(room, socket, hostKey)) return;
 
-    const t = room.teams.get(teamId);
-    if (!t) return;
+    const p = findPlayerById(room, playerId);
+    if (!p) return socket.emit("error_msg", "Player not found.");
 
-    const nm = String(name || "").trim().slice(0, 24);
-    if (!nm) return;
+    if (teamId && room.individual) {
+      const { team, error } = soloTeamFor(room, p, teamId);
+      if (error) return socket.emit("error_msg", error);
+      teamId = team.id;
+    }
 
-    t.name = nm;
+    if (teamId) {
+      if (!room.teams.has(teamId)) return socket.emit("error_msg", "Team not found.");
+      if (teamIsFull(room, teamId, p)) return socket.emit("error_msg", "That team is full.");
+      if (p.teamId !== teamId) {
+        dropCaptaincy(room, p);
+        seatOnTeam(room, p, teamId);
+      }
+    } else {
+      dropCaptaincy(room, p);
+      p.teamId = null;
+      p.isSpectator = true;
+      delete p.active;
+    }
+
+    pruneBuzzQueue(room);
     broadcast(room);
   });
 
-  socket.on("host_delete_tossup_row", ({ code, num, hostKey }) => {
+  // Swap an active player for an alternate on the same team. Either side may be
+  // omitted to just bench a player or fill an open active slot.
+  socket.on("host_substitute", ({ code, outId, inId, hostKey }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
     if (!room || !requireHost(room, socket, hostKey)) return;
 
-    if (!room.match || !Array.isArray(room.match.rows)) return;
+    if (!subsAllowed(room)) {
+      socket.emit(
+        "error_msg",
+        room.settings.subsHalftimeOnly
+          ? "Substitutions are only allowed at halftime."
+          : "Substitutions are only allowed between toss-ups."
+      );
+      return;
+    }
 
-    const n = Number(num);
-    if (!Number.isFinite(n)) return;
+    const out = outId ? findPlayerById(room, outId) : null;
+    const sub = inId ? findPlayerById(room, inId) : null;
+    if ((outId && !out) || (inId && !sub) || (!out && !sub)) return socket.emit("error_msg", "Player not found.");
+    if (out && (!out.teamId || !isActive(out))) return socket.emit("error_msg", `${out.name} is not active.`);
+    if (sub && (!sub.teamId || isActive(sub))) return socket.emit("error_msg", `${sub.name} is not an alternate.`);
+    if (out && sub && out.teamId !== sub.teamId) return socket.emit("error_msg", "Players are on different teams.");
+    if (!out && !hasActiveSlot(room, sub.teamId)) {
+      return socket.emit("error_msg", "No open active slot; choose who comes out.");
+    }
 
-    const idx = room.match.rows.findIndex((r) => r.num === n);
-    if (idx === -1) return;
+    if (out) out.active = false;
+    if (sub) sub.active = true;
+
+    if (!room.match.subs) room.match.subs = [];
+    room.match.subs.push({
+      teamId: (out || sub).teamId,
+      outId: out?.id || null,
+      outName: out?.name || null,
+      inId: sub?.id || null,
+      inName: sub?.name || null,
+      afterTossup: room.match.tossupNumber,
+      half: room.match.half,
+      at: now()
+    });
 
-    room.match.rows.splice(idx, 1);
-    recomputeFromRows(room);
+    pruneBuzzQueue(room);
     broadcast(room);
   });
 
-  socket.on("join_room", ({ code, name, teamId, spectate, hostKey }) => {
+  socket.on("host_kick_player", ({ code, playerId, hostKey }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
-    if (!room) return;
-
-    socket.join(code);
-    const nm = (String(name || "Player").trim() || "Player").slice(0, 24);
+    if (!room || !requireHost(room, socket, hostKey)) return;
 
-    // --- Host reclaim path ---
-    if (hostKey && room.hostKey && hostKey === room.hostKey) {
-      // Clear grace shutdown timer if running
-      if (room.hostGraceTimeout) {
-        clearTimeout(room.hostGraceTimeout);
-        room.hostGraceTimeout = null;
-      }
+    const p = findPlayerById(room, playerId);
+    if (!p) return socket.emit("error_msg", "Player not found.");
 
-      // Remove any previous host player entry (old socket id)
-      if (room.hostSocketId && room.players.has(room.hostSocketId)) {
-        room.players.delete(room.hostSocketId);
-      }
+    removePlayer(room, p, false);
+    broadcast(room);
+  });
 
-      room.hostSocketId = socket.id;
-      room.hostLastSeenMs = now();
+  // Bans the player's token; byIp also bans the address they connected from.
+  // The banned client keeps its token so its next join is refused, but the
+  // token lives in the player's browser: clearing site data or switching
+  // browsers gets a new one. The host UI says so.
+  socket.on("host_ban_player", ({ code, playerId, byIp, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
 
-      room.players.set(socket.id, {
-        socketId: socket.id,
-        name: nm || "Host",
-        teamId: null,
-        isHost: true,
-        isSpectator: false
-      });
+    const p = findPlayerById(room, playerId);
+    if (!p) return socket.emit("error_msg", "Player not found.");
 
-      broadcast(room);
-      return;
-    }
+    ensureModeration(room);
+    if (p.token && !room.bans.tokens.includes(p.token)) room.bans.tokens.push(p.token);
+    if (byIp && p.ip && !room.bans.ips.includes(p.ip)) room.bans.ips.push(p.ip);
 
-    // Normal spectator
-    if (spectate) {
-      // never overwrite the host if hostSocketId changes later
-      const existing = room.players.get(socket.id);
-      if (existing?.isHost) return;
+    removePlayer(room, p, true);
+    broadcast(room);
+  });
 
-      room.players.set(socket.id, {
-        socketId: socket.id,
-        name: nm,
-        teamId: null,
-        isHost: false,
-        isSpectator: true
-      });
-      broadcast(room);
-      return;
-    }
+  socket.on("host_clear_bans", ({ code, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
 
-    if (!teamId || !room.teams.has(teamId)) {
-      socket.emit("error_msg", "Choose a team before joining.");
-      return;
-    }
+    room.bans = { tokens: [], ips: [] };
+    broadcast(room);
+  });
 
-    room.players.set(socket.id, {
-      socketId: socket.id,
-      name: nm,
-      teamId,
-      isHost: false,
-      isSpectator: false
-    });
+  socket.on("host_set_room_locked", ({ code, locked, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
 
+    room.locked = !!locked;
     broadcast(room);
   });
 
-  socket.on("set_team", () => {});
-
   /* ---- Toss-up controls ---- */
   socket.on("host_start_tossup_reading", ({ code, hostKey }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
-    if (!room || !requireHost(room, socket, hostKey)) return;
-    if (room.phase.startsWith("bonus")) return;
+    if (!room || !requireHost(room, socket, hostKey, "read")) return;
+    if (room.phase.startsWith("bonus") || isMatchStopped(room)) return;
+
+    journal(room, "Start toss-up");
+    if (halfIsOver(room)) {
+      endHalf(room);
+      broadcast(room);
+      return;
+    }
 
     clearTossupEndTimeout(room);
+    startGameClock(room);
 
     room.phase = "tossup_reading";
     room.activeBonusTeamId = null;
+    room.bonusReady = null;
+    closeConferral(room);
     room.tossupLockedTeams = new Set();
     clearBuzz(room);
+    clearBuzzQueue(room);
     resetTimerFull(room, "tossup", false);
 
     startNewTossupRow(room);
     refreshRowScores(room);
+    advancePacket(room);
 
     broadcast(room);
   });
@@ -431,94 +2564,278 @@ io.on("connection", (socket) => {
   socket.on("host_done_reading_tossup", ({ code, hostKey }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
-    if (!room || !requireHost(room, socket, hostKey)) return;
-    if (room.phase.startsWith("bonus")) return;
+    if (!room || !requireHost(room, socket, hostKey, "read")) return;
+    if (room.phase.startsWith("bonus") || isMatchStopped(room)) return;
 
+    journal(room, "Done reading toss-up");
     room.phase = "tossup_live";
     clearBuzz(room);
     resetTimerFull(room, "tossup", true);
 
+    const row = currentRow(room);
+    if (row && !row.readEndAt) row.readEndAt = now();
+
+    // Re-read after a neg: the toss-up reopens straight to the next buzzer.
+    if (room.autoPromoteBuzz && room.tossupLockedTeams.size && promoteNextBuzz(room)) {
+      broadcast(room);
+      return;
+    }
+
     scheduleTossupEnd(room);
     broadcast(room);
   });
 
+  /* ---- Clocks ---- */
+  socket.on("host_pause_timer", ({ code, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "clock")) return;
+    if (!pauseTimer(room)) return socket.emit("error_msg", "The clock isn't running.");
+    broadcast(room);
+  });
+
+  socket.on("host_resume_timer", ({ code, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "clock")) return;
+    if (room.clocksStopped) return socket.emit("error_msg", "All clocks are stopped. Restart them first.");
+    if (!resumeTimer(room)) return socket.emit("error_msg", "The clock isn't paused.");
+    broadcast(room);
+  });
+
+  // Either `seconds` (set) or `deltaSeconds` (add/remove).
+  socket.on("host_adjust_timer", ({ code, seconds, deltaSeconds, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "clock")) return;
+
+    const current = computeTimerSnapshot(room).remainingMs;
+    const ms = seconds !== undefined ? Number(seconds) * 1000 : current + Number(deltaSeconds) * 1000;
+    if (!Number.isFinite(ms)) return socket.emit("error_msg", "Invalid time.");
+    setTimerRemaining(room, Math.round(Math.min(600000, Math.max(0, ms))));
+    broadcast(room);
+  });
+
+  socket.on("host_adjust_game_clock", ({ code, seconds, deltaSeconds, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "clock")) return;
+    if (!room.settings.halfMinutes) return socket.emit("error_msg", "This match has no game clock.");
+    if (isMatchStopped(room)) return socket.emit("error_msg", "The half is over.");
+
+    const g = room.gameClock;
+    const current = computeGameClockSnapshot(room).remainingMs;
+    const ms = seconds !== undefined ? Number(seconds) * 1000 : current + Number(deltaSeconds) * 1000;
+    if (!Number.isFinite(ms)) return socket.emit("error_msg", "Invalid time.");
+
+    g.remainingMs = Math.round(Math.min(3600000, Math.max(0, ms)));
+    if (g.remainingMs > 0) g.expired = false;
+    if (g.running) {
+      g.endsAtMs = now() + g.remainingMs;
+      scheduleGameClockEnd(room);
+    }
+    broadcast(room);
+  });
+
+  // Freeze the match (timeouts, disputes, fire drills): both clocks stop,
+  // buzzers are off, and nothing restarts a clock until the host does.
+  socket.on("host_stop_all_clocks", ({ code, stopped, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "clock")) return;
+    if (!!stopped === !!room.clocksStopped) return;
+
+    if (stopped) {
+      const gameClock = room.gameClock.running;
+      stopGameClock(room);
+      pauseTimer(room);
+      room.clocksStopped = { gameClock };
+      systemMessage(room, "clocks_stopped", "All clocks stopped.");
+    } else {
+      const { gameClock } = room.clocksStopped;
+      room.clocksStopped = null;
+      resumeTimer(room);
+      if (gameClock) startGameClock(room);
+      systemMessage(room, "clocks_resumed", "Clocks restarted.");
+    }
+    broadcast(room);
+  });
+
   /* ---- Buzzing ---- */
-  socket.on("buzz", ({ code }) => {
+  socket.on("buzz", ({ code, pressedAt }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
     if (!room) return;
 
     const p = room.players.get(socket.id);
-    if (!p || p.isHost || p.isSpectator) return;
+    if (!p || p.isHost || p.isSpectator || !isActive(p)) return;
 
     if (room.phase !== "tossup_reading" && room.phase !== "tossup_live") return;
-    if (!p.teamId) return;
-    if (room.tossupLockedTeams.has(p.teamId)) return;
-    if (room.buzz.locked) return;
+    if (room.clocksStopped || room.timer.paused) return;
+    if (!teamMayBuzz(room, p.teamId)) return;
 
-    if (room.phase === "tossup_live") {
-      stopTimer(room);
-      clearTossupEndTimeout(room);
+    const arrivedAt = now();
+    const { at, correctionMs } = correctedPressTime(socket, Number(pressedAt), arrivedAt);
+    const candidate = {
+      socketId: socket.id,
+      name: p.name,
+      teamId: p.teamId,
+      playerKey: playerKey(p),
+      arrivedAt,
+      at,
+      correctionMs
+    };
+
+    // Buzz already taken: join the queue behind it.
+    if (room.buzz.locked) {
+      const before = room.buzzQueue.length;
+      enqueueBuzz(room, candidate);
+      if (room.buzzQueue.length !== before) broadcast(room);
+      return;
     }
 
-    room.buzz = {
-      locked: true,
-      winnerSocketId: socket.id,
-      winnerName: p.name,
-      winnerTeamId: p.teamId,
-      at: now(),
-      interruptChoice: null
-    };
+    // First buzz freezes the clock and opens the collection window.
+    if (!room.buzz.pending) {
+      if (room.phase === "tossup_live") {
+        stopTimer(room);
+        clearTossupEndTimeout(room);
+      }
+      room.buzz = { locked: false, pending: true, candidates: [candidate] };
+      room.buzzWindowTimeout = setTimeout(() => {
+        const r = rooms.get(room.code);
+        if (!r || !r.buzz.pending) return;
+        resolveBuzzWindow(r);
+        broadcast(r);
+      }, BUZZ_WINDOW_MS);
+      return;
+    }
+
+    if (room.buzz.candidates.some((c) => c.socketId === socket.id)) return;
+    room.buzz.candidates.push(candidate);
+  });
+
+  // The buzz winner's typed answer; the ack tells them if it was too late.
+  socket.on("submit_answer", ({ code, answer }, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room) return;
+
+    const p = room.players.get(socket.id);
+    const b = room.buzz;
+    if (!p || !b.locked || !b.answerEndsAt || b.winnerPlayerKey !== playerKey(p)) {
+      return reply({ ok: false, error: "It isn't your turn to answer." });
+    }
+    if (b.submission) return reply({ ok: false, error: "Your answer is already in." });
+    if (now() > b.answerEndsAt + ANSWER_GRACE_MS) return reply({ ok: false, error: "Time is up." });
 
+    const text = String(answer ?? "").trim().slice(0, 200);
+    if (!text) return reply({ ok: false, error: "Type an answer first." });
+
+    b.submission = { answer: text, at: now(), suggestion: gradeAnswer(currentPair(room)?.tossup, text) };
+    clearAnswerTimeout(room);
+    reply({ ok: true });
     broadcast(room);
   });
 
   socket.on("host_clear_buzz", ({ code, hostKey }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
-    if (!room || !requireHost(room, socket, hostKey)) return;
+    if (!room || !requireHost(room, socket, hostKey, "read")) return;
+    if (!room.buzz.locked) return;
 
+    journal(room, "Reset buzzer");
     clearBuzz(room);
 
     if (room.phase === "tossup_live" && room.timer.running) scheduleTossupEnd(room);
     broadcast(room);
   });
 
+  socket.on("host_promote_next_buzz", ({ code, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "read")) return;
+    if (room.phase !== "tossup_reading" && room.phase !== "tossup_live") return;
+    if (room.buzz.locked || room.buzz.pending) return;
+
+    pruneBuzzQueue(room);
+    if (!room.buzzQueue.length) return socket.emit("error_msg", "No one left in the buzz queue.");
+
+    journal(room, "Promote next buzzer");
+    promoteNextBuzz(room);
+    broadcast(room);
+  });
+
+  socket.on("host_set_auto_promote", ({ code, enabled, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "read")) return;
+
+    room.autoPromoteBuzz = !!enabled;
+    broadcast(room);
+  });
+
   socket.on("host_set_interrupt_choice", ({ code, interrupt, hostKey }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
-    if (!room || !requireHost(room, socket, hostKey)) return;
+    if (!room || !requireHost(room, socket, hostKey, "judge")) return;
     if (!room.buzz.locked) return;
 
+    journal(room, interrupt ? "Interrupt" : "Not interrupt");
     room.buzz.interruptChoice = !!interrupt;
     broadcast(room);
   });
 
-  socket.on("host_mark_answer", ({ code, correct, hostKey }) => {
+  // `interrupt` lets a one-click confirmation of a typed answer make the
+  // interrupt call too; an earlier host_set_interrupt_choice wins.
+  socket.on("host_mark_answer", ({ code, correct, interrupt: interruptCall, hostKey }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
-    if (!room || !requireHost(room, socket, hostKey)) return;
+    if (!room || !requireHost(room, socket, hostKey, "judge")) return;
     if (!room.buzz.locked) return;
 
     const teamId = room.buzz.winnerTeamId;
     const team = teamId ? room.teams.get(teamId) : null;
     if (!team) return;
 
+    if (room.buzz.interruptChoice === null && typeof interruptCall === "boolean") {
+      room.buzz.interruptChoice = interruptCall;
+    }
     const interrupt = room.buzz.interruptChoice;
     if (interrupt === null) return;
 
     const lockOutTeam = () => room.tossupLockedTeams.add(teamId);
 
+    const { tossupPoints, negPoints } = room.settings;
+
+    journal(room, correct ? "Mark correct" : "Mark incorrect");
+    recordBuzz(room, correct ? "correct" : "incorrect", correct ? tossupPoints : interrupt ? -negPoints : 0);
+
     if (correct) {
-      team.score += 4;
-      addRowDelta(room, teamId, "tu", 4);
+      team.score += tossupPoints;
+      addRowDelta(room, teamId, "tu", tossupPoints);
       refreshRowScores(room);
 
       clearTossupEndTimeout(room);
 
+      // Sudden death: no bonus, straight on to the next toss-up (or the end).
+      if (inTiebreaker(room)) {
+        room.phase = "lobby";
+        room.tossupLockedTeams = new Set();
+        clearBuzz(room);
+        clearBuzzQueue(room);
+        resetTimerFull(room, "tossup", false);
+        finishQuestion(room);
+
+        broadcast(room);
+        return;
+      }
+
       room.phase = "bonus_reading";
       room.activeBonusTeamId = teamId;
+      room.bonusReady = null;
       clearBuzz(room);
+      clearBuzzQueue(room);
       resetTimerFull(room, "bonus", false);
 
       broadcast(room);
@@ -528,28 +2845,43 @@ io.on("connection", (socket) => {
     // incorrect
     lockOutTeam();
     clearBuzz(room);
+    pruneBuzzQueue(room);
 
     if (interrupt) {
-      // NEG: +4 to EVERY other team
-      for (const [otherId, other] of room.teams.entries()) {
-        if (otherId === teamId) continue;
-        other.score += 4;
-        addRowDelta(room, otherId, "p", 4);
+      if (room.settings.negDeduct) {
+        // NEG: negPoints off the buzzer's own score
+        room.teams.get(teamId).score -= negPoints;
+        addRowDelta(room, teamId, "p", -negPoints);
+      } else {
+        // NEG: negPoints to EVERY other team (only the other tied teams in a tiebreaker)
+        const negTo = inTiebreaker(room) ? room.match.tiebreaker.teamIds : [...room.teams.keys()];
+        for (const otherId of negTo) {
+          const other = room.teams.get(otherId);
+          if (!other || otherId === teamId) continue;
+          other.score += negPoints;
+          addRowDelta(room, otherId, "p", negPoints);
+        }
       }
       refreshRowScores(room);
 
       clearTossupEndTimeout(room);
 
+      if (inTiebreaker(room) && tieBroken(room)) {
+        endMatch(room);
+        broadcast(room);
+        return;
+      }
+
       room.phase = "tossup_reading";
       resetTimerFull(room, "tossup", false);
 
       broadcast(room);
       return;
     } else {
-      // Not interrupt incorrect: no neg, reset 5s timer and run
+      // Not interrupt incorrect: no neg, reset toss-up timer and run
       room.phase = "tossup_live";
       resetTimerFull(room, "tossup", true);
-      scheduleTossupEnd(room);
+      if (!room.autoPromoteBuzz || !promoteNextBuzz(room)) scheduleTossupEnd(room);
 
       broadcast(room);
       return;
@@ -560,10 +2892,12 @@ io.on("connection", (socket) => {
   socket.on("host_done_reading_bonus", ({ code, hostKey }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
-    if (!room || !requireHost(room, socket, hostKey)) return;
+    if (!room || !requireHost(room, socket, hostKey, "read")) return;
     if (room.phase !== "bonus_reading" && room.phase !== "bonus_live") return;
 
+    journal(room, "Done reading bonus");
     room.phase = "bonus_live";
+    room.bonusReady = null;
     resetTimerFull(room, "bonus", true);
     broadcast(room);
   });
@@ -571,7 +2905,7 @@ io.on("connection", (socket) => {
   socket.on("host_award_bonus", ({ code, points, hostKey }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
-    if (!room || !requireHost(room, socket, hostKey)) return;
+    if (!room || !requireHost(room, socket, hostKey, "judge")) return;
     if (!room.phase.startsWith("bonus")) return;
 
     const teamId = room.activeBonusTeamId;
@@ -579,17 +2913,22 @@ io.on("connection", (socket) => {
     if (!team) return;
 
     const p = Number(points);
-    if (!Number.isFinite(p) || p < 0 || p > 20) return;
+    const err = bonusPointsError(room.settings, p);
+    if (err) return socket.emit("error_msg", err);
 
+    journal(room, `Bonus ${p}`);
     team.score += p;
     addRowDelta(room, teamId, "b", p);
     refreshRowScores(room);
 
     room.phase = "lobby";
     room.activeBonusTeamId = null;
+    room.bonusReady = null;
+    closeConferral(room);
     room.tossupLockedTeams = new Set();
     clearBuzz(room);
     resetTimerFull(room, "tossup", false);
+    finishQuestion(room);
 
     broadcast(room);
   });
@@ -597,45 +2936,151 @@ io.on("connection", (socket) => {
   socket.on("host_skip_bonus", ({ code, hostKey }) => {
     code = String(code || "").toUpperCase().trim();
     const room = requireRoom(code, socket);
-    if (!room || !requireHost(room, socket, hostKey)) return;
+    if (!room || !requireHost(room, socket, hostKey, "judge")) return;
     if (!room.phase.startsWith("bonus")) return;
 
+    journal(room, "Skip bonus");
     room.phase = "lobby";
     room.activeBonusTeamId = null;
+    room.bonusReady = null;
+    closeConferral(room);
     room.tossupLockedTeams = new Set();
     clearBuzz(room);
     resetTimerFull(room, "tossup", false);
+    finishQuestion(room);
+
+    broadcast(room);
+  });
+
+  // The bonus team has conferred: freeze the clock and tell the moderator who
+  // will answer, the same way a toss-up buzz stops the toss-up clock.
+  socket.on("bonus_ready", ({ code }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room) return;
+    if (room.phase !== "bonus_live" || room.bonusReady) return;
+
+    const p = room.players.get(socket.id);
+    if (!p || !canAnswerBonus(room, p)) return;
+
+    stopTimer(room);
+    room.bonusReady = { playerId: p.id, name: p.name, teamId: p.teamId, at: now() };
+    broadcast(room);
+  });
+
+  /* ---- Bonus conferral (bonus team only) ---- */
+  socket.on("team_chat", ({ code, text }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room) return;
+
+    const p = room.players.get(socket.id);
+    const c = currentConferral(room);
+    if (!c || !mayConfer(room, p)) return;
+
+    const msg = String(text || "").trim().slice(0, CONFERRAL_MESSAGE_MAX);
+    if (!msg) return;
+
+    c.messages.push({ playerId: p.id, name: p.name, text: msg, at: now() });
+    emitConferral(room);
+    emitHostState(room);
+  });
+
+  socket.on("team_scratchpad", ({ code, text }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room) return;
+
+    const p = room.players.get(socket.id);
+    const c = currentConferral(room);
+    if (!c || !mayConfer(room, p)) return;
+
+    c.scratchpad = String(text || "").slice(0, SCRATCHPAD_MAX);
+    emitConferral(room);
+    emitHostState(room);
+  });
+
+  /* ---- Captains ---- */
+  // Host sets (or clears, with playerId null) any team's captain.
+  socket.on("host_set_captain", ({ code, teamId, playerId, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey)) return;
+
+    const team = room.teams.get(teamId);
+    if (!team) return socket.emit("error_msg", "Team not found.");
+
+    if (playerId) {
+      const p = findPlayerById(room, playerId);
+      if (!p || p.teamId !== teamId) return socket.emit("error_msg", "That player isn't on this team.");
+    }
+
+    team.captainId = playerId || null;
+    broadcast(room);
+  });
 
+  // Teammates pick their own captain while the team has none; after that only
+  // the captain can hand it on.
+  socket.on("choose_captain", ({ code, playerId }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room) return;
+
+    const me = room.players.get(socket.id);
+    const team = me?.teamId ? room.teams.get(me.teamId) : null;
+    if (!team || me.isSpectator) return;
+    if (team.captainId && team.captainId !== me.id) {
+      return socket.emit("error_msg", "Only the captain (or the host) can change captain.");
+    }
+
+    const p = findPlayerById(room, playerId);
+    if (!p || p.teamId !== team.id) return socket.emit("error_msg", "That player isn't on your team.");
+
+    team.captainId = p.id;
     broadcast(room);
   });
 
+  /* ---- Undo / redo ---- */
+  socket.on("host_undo", ({ code, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "score")) return;
+
+    if (undoAction(room, room.players.get(socket.id)?.name || "Host")) broadcast(room);
+  });
+
+  socket.on("host_redo", ({ code, hostKey }) => {
+    code = String(code || "").toUpperCase().trim();
+    const room = requireRoom(code, socket);
+    if (!room || !requireHost(room, socket, hostKey, "score")) return;
+
+    if (redoAction(room, room.players.get(socket.id)?.name || "Host")) broadcast(room);
+  });
+
   socket.on("disconnect", () => {
     for (const room of rooms.values()) {
-      if (!room.players.has(socket.id)) continue;
+      const p = room.players.get(socket.id);
+      if (!p) continue;
 
       const wasHost = room.hostSocketId === socket.id;
 
-      room.players.delete(socket.id);
+      // Team players keep their seat until they come back with their token.
+      if (p.isHost || p.isSpectator) {
+        room.players.delete(socket.id);
+      } else {
+        p.connected = false;
+        p.disconnectedAt = now();
+        pruneBuzzQueue(room);
+      }
 
       if (wasHost) {
         // DO NOT delete the room immediately.
         room.hostSocketId = null;
-        room.hostLastSeenMs = now();
-
-        if (room.hostGraceTimeout) clearTimeout(room.hostGraceTimeout);
-        room.hostGraceTimeout = setTimeout(() => {
-          const r = rooms.get(room.code);
-          if (!r) return;
-          // If host still not reclaimed, close room.
-          if (!r.hostSocketId) {
-            io.to(r.code).emit("error_msg", "Host did not reconnect. Room closed.");
-            clearTossupEndTimeout(r);
-            rooms.delete(r.code);
-          }
-        }, HOST_GRACE_MS);
-
-        io.to(room.code).emit(
-          "error_msg",
+        startHostGrace(room);
+
+        systemMessage(
+          room,
+          "host_disconnected",
           "Host disconnected — waiting for host to reconnect (host link keeps host)."
         );
         broadcast(room);
@@ -646,6 +3091,17 @@ io.on("connection", (socket) => {
   });
 });
 
+/* ---------------- Boot ---------------- */
+for (const data of tournamentStore.loadAll()) if (data?.id) tournaments.set(data.id, data);
+for (const data of store.loadAll()) restoreRoom(data);
+if (rooms.size) console.log(`Restored ${rooms.size} room(s) from storage`);
+
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.on(sig, () => {
+    Promise.all([store.flush(), tournamentStore.flush()]).finally(() => process.exit(0));
+  });
+}
+
 const PORT = process.env.PORT || 8787;
 app.use((req, res) => {
   res.status(404).send("Not Found: " + req.path);
@@ -0,0 +1,194 @@
+/* ---------------- Question packets ---------------- */
+// A packet is { name, pairs: [{ tossup, bonus }] } where each question is
+// { subject, type: "mc" | "sa", text, choices, answer }. `choices` is
+// { W, X, Y, Z } for multiple choice and null for short answer.
+
+const MAX_PAIRS = 200;
+const CHOICE_LETTERS = ["W", "X", "Y", "Z"];
+
+function clean(v, max = 2000) {
+  return String(v ?? "").trim().slice(0, max);
+}
+
+function normalizeType(v, choices) {
+  const t = String(v || "").toLowerCase().replace(/[^a-z]/g, "");
+  if (t === "mc" || t === "multiplechoice") return "mc";
+  if (t === "sa" || t === "shortanswer") return "sa";
+  return choices ? "mc" : "sa";
+}
+
+function normalizeChoices(raw) {
+  if (!raw) return null;
+  const out = {};
+  if (Array.isArray(raw)) {
+    raw.slice(0, 4).forEach((c, i) => (out[CHOICE_LETTERS[i]] = clean(c, 300)));
+  } else if (typeof raw === "object") {
+    for (const l of CHOICE_LETTERS) if (raw[l] != null) out[l] = clean(raw[l], 300);
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+function normalizeQuestion(q) {
+  if (!q || typeof q !== "object") return null;
+  const text = clean(q.text || q.question);
+  if (!text) return null;
+  const choices = normalizeChoices(q.choices);
+  return {
+    subject: clean(q.subject || q.category, 40).toUpperCase(),
+    type: normalizeType(q.type, choices),
+    text,
+    choices,
+    answer: clean(q.answer, 500)
+  };
+}
+
+function pairUp(tossups, bonuses) {
+  const pairs = [];
+  for (let i = 0; i < tossups.length && pairs.length < MAX_PAIRS; i++) {
+    const tossup = normalizeQuestion(tossups[i]);
+    if (!tossup) continue;
+    pairs.push({ tossup, bonus: normalizeQuestion(bonuses[i]) });
+  }
+  return pairs;
+}
+
+/**
+ * Parse a JSON packet. Accepts either { pairs: [{ tossup, bonus }] } or
+ * parallel { tossups: [], bonuses: [] } arrays.
+ */
+export function parseJsonPacket(content) {
+  const data = typeof content === "string" ? JSON.parse(content) : content;
+  if (!data || typeof data !== "object") throw new Error("Packet must be a JSON object.");
+
+  let pairs;
+  if (Array.isArray(data.pairs)) {
+    pairs = pairUp(
+      data.pairs.map((p) => p?.tossup),
+      data.pairs.map((p) => p?.bonus)
+    );
+  } else if (Array.isArray(data.tossups)) {
+    pairs = pairUp(data.tossups, Array.isArray(data.bonuses) ? data.bonuses : []);
+  } else {
+    throw new Error("Packet needs a `pairs` or `tossups` array.");
+  }
+
+  return { name: clean(data.name, 60), pairs };
+}
+
+/* ---- Plain-text / Markdown Science Bowl format ----
+ *
+ *   TOSS-UP
+ *   1) BIOLOGY  Multiple Choice  Which of the following ...
+ *   W) ...
+ *   X) ...
+ *   Y) ...
+ *   Z) ...
+ *   ANSWER: X) ...
+ *
+ *   BONUS
+ *   1) BIOLOGY  Short Answer  What ...
+ *   ANSWER: ...
+ *
+ * Markdown emphasis and heading marks are ignored.
+ */
+const HEADER_RE = /^(TOSS[\s-]?UP|BONUS)\b[\s:]*$/i;
+const QUESTION_RE = /^(\d+)[).:]?\s+([A-Z][A-Z &/-]*?)\s+(Multiple\s+Choice|Short\s+Answer)[\s:]+(.*)$/i;
+const CHOICE_RE = /^([WXYZ])\)\s*(.*)$/i;
+const ANSWER_RE = /^ANSWER\s*:\s*(.*)$/i;
+
+function stripMarkdown(line) {
+  return line
+    .replace(/^\s*#+\s*/, "")
+    .replace(/^\s*[-*+]\s+(?=[WXYZ]\))/i, "")
+    .replace(/\*\*|__|`/g, "")
+    .replace(/(^|\s)[*_](\S)/g, "$1$2")
+    .replace(/(\S)[*_](?=\s|$)/g, "$1")
+    .trim();
+}
+
+function parseTextBlock(lines) {
+  let num = null;
+  let q = null;
+  let lastField = null;
+
+  for (const line of lines) {
+    if (!line) continue;
+
+    const qm = !q && line.match(QUESTION_RE);
+    if (qm) {
+      num = Number(qm[1]);
+      q = { subject: qm[2], type: qm[3], text: qm[4], choices: null, answer: "" };
+      lastField = "text";
+      continue;
+    }
+    if (!q) continue;
+
+    const am = line.match(ANSWER_RE);
+    if (am) {
+      q.answer = am[1];
+      lastField = "answer";
+      continue;
+    }
+
+    const cm = line.match(CHOICE_RE);
+    if (cm && lastField !== "answer") {
+      q.choices = q.choices || {};
+      q.choices[cm[1].toUpperCase()] = cm[2];
+      lastField = cm[1].toUpperCase();
+      continue;
+    }
+
+    // Continuation line: append to whatever we were reading.
+    if (lastField === "text") q.text += " " + line;
+    else if (lastField === "answer") q.answer += " " + line;
+    else if (lastField) q.choices[lastField] += " " + line;
+  }
+
+  return q ? { num, q } : null;
+}
+
+export function parseTextPacket(content, name = "") {
+  const lines = String(content || "").split(/\r?\n/).map(stripMarkdown);
+
+  const blocks = [];
+  let cur = null;
+  for (const line of lines) {
+    const hm = line.match(HEADER_RE);
+    if (hm) {
+      cur = { kind: hm[1].toUpperCase().startsWith("B") ? "bonus" : "tossup", lines: [] };
+      blocks.push(cur);
+      continue;
+    }
+    if (cur) cur.lines.push(line);
+  }
+
+  const tossups = [];
+  const bonuses = [];
+  for (const b of blocks) {
+    const parsed = parseTextBlock(b.lines);
+    if (!parsed) continue;
+    (b.kind === "tossup" ? tossups : bonuses).push(parsed);
+  }
+
+  // Pair bonus N with toss-up N; fall back to order when numbers are missing.
+  const bonusByNum = new Map(bonuses.filter((b) => b.num != null).map((b) => [b.num, b.q]));
+  const pairedBonuses = tossups.map((t, i) =>
+    t.num != null && bonusByNum.has(t.num) ? bonusByNum.get(t.num) : bonuses[i]?.q
+  );
+
+  return { name: clean(name, 60), pairs: pairUp(tossups.map((t) => t.q), pairedBonuses) };
+}
+
+/**
+ * Parse an uploaded packet. `format` is "json" or "text"; anything else is
+ * sniffed from the first non-space character.
+ */
+export function parsePacket(content, format, name) {
+  const text = String(content || "");
+  const fmt = format === "json" || format === "text" ? format : text.trim().startsWith("{") ? "json" : "text";
+
+  const packet = fmt === "json" ? parseJsonPacket(text) : parseTextPacket(text, name);
+  if (!packet.name) packet.name = clean(name, 60) || "Packet";
+  if (!packet.pairs.length) throw new Error("No questions found in packet.");
+  return packet;
+}
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePacket, parseJsonPacket, parseTextPacket } from "./packet.js";
+
+const TEXT = `
+## TOSS-UP
+1) BIOLOGY  Multiple Choice  Which organelle makes ATP?
+W) Nucleus
+X) **Mitochondrion**
+Y) Ribosome
+Z) Golgi body
+ANSWER: X) MITOCHONDRION
+
+BONUS
+1) BIOLOGY  Short Answer  What molecule carries amino acids
+to the ribosome?
+ANSWER: TRANSFER RNA
+(ACCEPT: TRNA)
+
+TOSS-UP
+2) PHYSICS  Short Answer  What is the SI unit of force?
+ANSWER: NEWTON
+`;
+
+test("text packets pair toss-ups with bonuses by number", () => {
+  const packet = parseTextPacket(TEXT, "Round 1");
+  assert.equal(packet.name, "Round 1");
+  assert.equal(packet.pairs.length, 2);
+
+  const [first, second] = packet.pairs;
+  assert.equal(first.tossup.subject, "BIOLOGY");
+  assert.equal(first.tossup.type, "mc");
+  assert.deepEqual(first.tossup.choices, { W: "Nucleus", X: "Mitochondrion", Y: "Ribosome", Z: "Golgi body" });
+  assert.equal(first.tossup.answer, "X) MITOCHONDRION");
+  assert.equal(first.bonus.type, "sa");
+  assert.equal(first.bonus.text, "What molecule carries amino acids to the ribosome?");
+  assert.equal(first.bonus.answer, "TRANSFER RNA (ACCEPT: TRNA)");
+  assert.equal(second.bonus, null);
+});
+
+test("JSON packets accept pairs or parallel arrays", () => {
+  const q = (text) => ({ subject: "chemistry", text, answer: "X" });
+  const a = parseJsonPacket({ name: "A", pairs: [{ tossup: q("one"), bonus: q("two") }] });
+  const b = parseJsonPacket({ name: "B", tossups: [q("one")], bonuses: [q("two")] });
+  assert.deepEqual(a.pairs, b.pairs);
+  assert.equal(a.pairs[0].tossup.subject, "CHEMISTRY");
+  assert.equal(a.pairs[0].tossup.type, "sa");
+});
+
+test("JSON choices may be an array and imply multiple choice", () => {
+  const packet = parseJsonPacket({ tossups: [{ text: "Pick one", choices: ["a", "b", "c", "d", "e"], answer: "W" }] });
+  assert.equal(packet.pairs[0].tossup.type, "mc");
+  assert.deepEqual(packet.pairs[0].tossup.choices, { W: "a", X: "b", Y: "c", Z: "d" });
+});
+
+test("questions without text are dropped", () => {
+  const packet = parseJsonPacket({ tossups: [{ text: "" }, { text: "kept" }] });
+  assert.equal(packet.pairs.length, 1);
+  assert.equal(packet.pairs[0].tossup.text, "kept");
+});
+
+test("parsePacket sniffs the format and names unnamed packets", () => {
+  const packet = parsePacket(JSON.stringify({ tossups: [{ text: "Q" }] }), "", "set.json");
+  assert.equal(packet.name, "set.json");
+  assert.equal(parsePacket(TEXT).pairs.length, 2);
+});
+
+test("parsePacket rejects packets with no questions", () => {
+  assert.throws(() => parsePacket("nothing here"), /No questions found/);
+  assert.throws(() => parsePacket("{}", "json"), /pairs/);
+});
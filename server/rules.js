@@ -0,0 +1,132 @@
+/* ---------------- Rule presets ---------------- */
+// Timer lengths, point values and half structure a room plays by.
+// `room.settings` is always a full copy of one of these (plus the preset id),
+// so handlers never need to look the preset up again.
+export const RULE_PRESETS = {
+  nsb_hs: {
+    label: "NSB High School",
+    tossupSeconds: 5,
+    bonusSeconds: 20,
+    tossupPoints: 4,
+    bonusPoints: 10,
+    negPoints: 4,
+    bonusMax: 10,
+    halfMinutes: 8,
+    tossupsPerHalf: 0,
+    teamCap: 5,
+    activePlayers: 4,
+    subsHalftimeOnly: 1,
+    negDeduct: 0,
+    answerSeconds: 0
+  },
+  nsb_ms: {
+    label: "NSB Middle School",
+    tossupSeconds: 5,
+    bonusSeconds: 20,
+    tossupPoints: 4,
+    bonusPoints: 10,
+    negPoints: 4,
+    bonusMax: 10,
+    halfMinutes: 10,
+    tossupsPerHalf: 0,
+    teamCap: 5,
+    activePlayers: 4,
+    subsHalftimeOnly: 1,
+    negDeduct: 0,
+    answerSeconds: 0
+  },
+  individual: {
+    label: "Individual practice",
+    individualOnly: true,
+    tossupSeconds: 5,
+    bonusSeconds: 20,
+    tossupPoints: 4,
+    bonusPoints: 10,
+    negPoints: 4,
+    bonusMax: 10,
+    halfMinutes: 0,
+    tossupsPerHalf: 0,
+    teamCap: 1,
+    activePlayers: 1,
+    subsHalftimeOnly: 0,
+    negDeduct: 1,
+    answerSeconds: 0
+  }
+};
+
+export const DEFAULT_PRESET = "nsb_hs";
+
+// Room-mode metadata on a preset, not rules; kept out of `room.settings`.
+const PRESET_META = ["label", "individualOnly"];
+
+function presetValues(preset) {
+  const values = { ...RULE_PRESETS[preset] };
+  for (const key of PRESET_META) delete values[key];
+  return values;
+}
+
+// [min, max] for every editable field; anything outside is clamped.
+const LIMITS = {
+  tossupSeconds: [1, 120],
+  bonusSeconds: [1, 300],
+  tossupPoints: [0, 100],
+  bonusPoints: [0, 100],
+  negPoints: [0, 100],
+  bonusMax: [0, 100],
+  // 0 = no game clock / no toss-up limit for that half
+  halfMinutes: [0, 60],
+  tossupsPerHalf: [0, 50],
+  // players per team, alternates included (NSB: 4 + 1)
+  teamCap: [1, 20],
+  activePlayers: [1, 20],
+  // 1 = substitutions only at halftime, 0 = between any two toss-ups
+  subsHalftimeOnly: [0, 1],
+  // 0 = a neg gives negPoints to every other team (NSB), 1 = the buzzer loses them
+  negDeduct: [0, 1],
+  // seconds the buzz winner gets to type an answer; 0 = answers are spoken
+  answerSeconds: [0, 60]
+};
+
+export const RULE_FIELDS = Object.keys(LIMITS);
+
+function clampField(field, value, fallback) {
+  // Blank form fields arrive as "" or null; Number() would read those as 0.
+  if (value == null || String(value).trim() === "") return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  const [lo, hi] = LIMITS[field];
+  return Math.min(hi, Math.max(lo, Math.round(n)));
+}
+
+/**
+ * Build a settings object from a preset id and optional overrides.
+ * Named presets ignore overrides; "custom" starts from `base` (or the default
+ * preset) and applies each override that parses as a number.
+ */
+export function buildRules(preset, overrides, base) {
+  if (RULE_PRESETS[preset]) return { preset, ...presetValues(preset) };
+
+  const start = { ...presetValues(DEFAULT_PRESET), ...(base || {}) };
+  const out = { preset: "custom" };
+  for (const field of RULE_FIELDS) {
+    out[field] = clampField(field, overrides?.[field], start[field]);
+  }
+  // Bonus value can't exceed the cap the server validates against.
+  if (out.bonusPoints > out.bonusMax) out.bonusMax = out.bonusPoints;
+  return out;
+}
+
+/**
+ * Presets a room can pick: individual-only ones (one player per team,
+ * negs off the buzzer) only where every player is their own team. Custom
+ * rules fit any room.
+ */
+export function presetFits(preset, individual) {
+  return !RULE_PRESETS[preset]?.individualOnly || !!individual;
+}
+
+export function presetList(individual) {
+  return Object.entries(RULE_PRESETS)
+    .filter(([id]) => presetFits(id, individual))
+    .map(([id, p]) => ({ id, ...p }));
+}
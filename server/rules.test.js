@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildRules, presetList, presetFits, RULE_FIELDS, RULE_PRESETS, DEFAULT_PRESET } from "./rules.js";
+
+test("a named preset is copied whole and ignores overrides", () => {
+  const rules = buildRules("nsb_ms", { tossupSeconds: 99 });
+  assert.equal(rules.preset, "nsb_ms");
+  assert.equal(rules.tossupSeconds, RULE_PRESETS.nsb_ms.tossupSeconds);
+  assert.equal(rules.label, undefined);
+  for (const field of RULE_FIELDS) assert.ok(field in rules, field);
+});
+
+test("custom rules start from the default preset", () => {
+  const rules = buildRules("custom", {});
+  const { label: _label, ...defaults } = RULE_PRESETS[DEFAULT_PRESET];
+  assert.deepEqual(rules, { preset: "custom", ...defaults });
+});
+
+test("custom rules start from the given base", () => {
+  const base = buildRules("nsb_ms");
+  assert.equal(buildRules("custom", {}, base).halfMinutes, base.halfMinutes);
+});
+
+test("custom overrides are rounded and clamped to their limits", () => {
+  const rules = buildRules("custom", { tossupSeconds: 500, negPoints: -3, bonusPoints: "7.6", teamCap: 0 });
+  assert.equal(rules.tossupSeconds, 120);
+  assert.equal(rules.negPoints, 0);
+  assert.equal(rules.bonusPoints, 8);
+  assert.equal(rules.teamCap, 1);
+});
+
+test("overrides that aren't numbers keep the base value", () => {
+  const rules = buildRules("custom", { tossupSeconds: "soon", bonusSeconds: null, negPoints: "" });
+  assert.equal(rules.tossupSeconds, RULE_PRESETS[DEFAULT_PRESET].tossupSeconds);
+  assert.equal(rules.bonusSeconds, RULE_PRESETS[DEFAULT_PRESET].bonusSeconds);
+  assert.equal(rules.negPoints, RULE_PRESETS[DEFAULT_PRESET].negPoints);
+});
+
+test("the bonus cap is raised to the bonus value", () => {
+  const rules = buildRules("custom", { bonusPoints: 20, bonusMax: 10 });
+  assert.equal(rules.bonusMax, 20);
+});
+
+test("individual-only presets are only listed for individual rooms", () => {
+  assert.deepEqual(presetList(true).map((p) => p.id), Object.keys(RULE_PRESETS));
+  assert.deepEqual(presetList(false).map((p) => p.id), ["nsb_hs", "nsb_ms"]);
+  assert.equal(presetFits("individual", false), false);
+  assert.equal(presetFits("custom", false), true);
+  assert.equal(presetFits("nsb_hs", true), true);
+});
+
+test("preset metadata stays out of the settings", () => {
+  const rules = buildRules("individual");
+  assert.equal(rules.individualOnly, undefined);
+  assert.equal(buildRules("custom", {}, rules).individualOnly, undefined);
+});
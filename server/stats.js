@@ -0,0 +1,67 @@
+/* ---------------- Player statistics ----------------
+ * Built entirely from `room.match.rows`, so deleting a row is reflected
+ * automatically; editing a toss-up or penalty cell (or upholding a challenge)
+ * rewrites the matching buzz and marks it `edited`. Each row carries:
+ *   heard:  [{ playerKey, name, teamId }] for players on a team when the
+ *           toss-up started
+ *   buzzes: [{ playerKey, playerName, teamId, interrupt, result, points,
+ *              fromStartMs, fromEndMs, edited? }]
+ * fromEndMs is null for buzzes that came before the end of reading. Each
+ * player's `edited` counts their buzzes whose ruling was changed afterwards.
+ */
+
+const avg = (xs) => (xs.length ? Math.round(xs.reduce((a, b) => a + b, 0) / xs.length) : null);
+
+function blank(key, name, teamId) {
+  return {
+    playerKey: key,
+    name,
+    teamId,
+    tuh: 0,
+    buzzes: 0,
+    correct: 0,
+    incorrect: 0,
+    negs: 0,
+    points: 0,
+    interrupts: 0,
+    edited: 0,
+    _rt: [],
+    _start: []
+  };
+}
+
+export function playerStats(match) {
+  const byKey = new Map();
+  const get = (key, name, teamId) => {
+    if (!byKey.has(key)) byKey.set(key, blank(key, name, teamId));
+    return byKey.get(key);
+  };
+
+  for (const row of match?.rows || []) {
+    for (const h of row.heard || []) get(h.playerKey, h.name, h.teamId).tuh += 1;
+
+    for (const b of row.buzzes || []) {
+      const s = get(b.playerKey, b.playerName, b.teamId);
+      s.buzzes += 1;
+      s.points += b.points || 0;
+      if (b.interrupt) s.interrupts += 1;
+      if (b.edited) s.edited += 1;
+      if (b.result === "correct") s.correct += 1;
+      else if (b.interrupt) s.negs += 1;
+      else s.incorrect += 1;
+
+      // Reaction time only makes sense for buzzes after the end of reading;
+      // time from the start of reading covers interrupts too.
+      if (Number.isFinite(b.fromEndMs)) s._rt.push(b.fromEndMs);
+      if (Number.isFinite(b.fromStartMs)) s._start.push(b.fromStartMs);
+    }
+  }
+
+  return [...byKey.values()]
+    .map(({ _rt, _start, ...s }) => ({
+      ...s,
+      avgReactionMs: avg(_rt),
+      avgFromStartMs: avg(_start)
+    }))
+    .sort((a, b) => b.points - a.points || b.correct - a.correct || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { playerStats } from "./stats.js";
+
+const heard = (...names) => names.map((name) => ({ playerKey: name, name, teamId: name === "Ada" ? "A" : "B" }));
+const buzz = (name, result, extra = {}) => ({
+  playerKey: name,
+  playerName: name,
+  teamId: name === "Ada" ? "A" : "B",
+  interrupt: false,
+  result,
+  points: result === "correct" ? 4 : 0,
+  fromStartMs: 3000,
+  fromEndMs: null,
+  ...extra
+});
+
+const match = {
+  rows: [
+    { heard: heard("Ada", "Bo"), buzzes: [buzz("Ada", "correct", { fromEndMs: 400 })] },
+    {
+      heard: heard("Ada", "Bo"),
+      buzzes: [buzz("Bo", "incorrect", { interrupt: true, fromStartMs: 1000 }), buzz("Ada", "correct", { fromEndMs: 800 })]
+    },
+    { heard: heard("Ada", "Bo"), buzzes: [buzz("Bo", "incorrect", { fromEndMs: 1000 })] }
+  ]
+};
+
+test("counts toss-ups heard, buzzes and results per player", () => {
+  const [ada, bo] = playerStats(match);
+  assert.equal(ada.name, "Ada");
+  assert.deepEqual(
+    { tuh: ada.tuh, buzzes: ada.buzzes, correct: ada.correct, negs: ada.negs, points: ada.points },
+    { tuh: 3, buzzes: 2, correct: 2, negs: 0, points: 8 }
+  );
+  assert.deepEqual(
+    { tuh: bo.tuh, buzzes: bo.buzzes, incorrect: bo.incorrect, negs: bo.negs, interrupts: bo.interrupts },
+    { tuh: 3, buzzes: 2, incorrect: 1, negs: 1, interrupts: 1 }
+  );
+});
+
+test("reaction time only averages buzzes after the end of reading", () => {
+  const [ada, bo] = playerStats(match);
+  assert.equal(ada.avgReactionMs, 600);
+  assert.equal(bo.avgReactionMs, 1000);
+  assert.equal(bo.avgFromStartMs, 2000);
+});
+
+test("a player who never buzzed has no averages", () => {
+  const stats = playerStats({ rows: [{ heard: heard("Cy"), buzzes: [] }] });
+  assert.equal(stats[0].avgReactionMs, null);
+  assert.equal(stats[0].avgFromStartMs, null);
+});
+
+test("buzzes rewritten by an edit are counted as edited", () => {
+  const edited = { rows: [{ heard: heard("Bo"), buzzes: [buzz("Bo", "correct", { edited: true })] }] };
+  const [bo] = playerStats(edited);
+  assert.equal(bo.correct, 1);
+  assert.equal(bo.edited, 1);
+  assert.equal(playerStats(match)[0].edited, 0);
+});
+
+test("an empty match has no stats", () => {
+  assert.deepEqual(playerStats(null), []);
+});
@@ -0,0 +1,142 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+/* ---------------- Room storage ----------------
+ * A backend is { loadAll(), save(code, data), remove(code) }. `data` is the
+ * plain-JSON form produced by `serializeRoom`; backends never see Maps, Sets
+ * or timer handles.
+ */
+
+// One <CODE>.json file per room. Writes go to a temp file first and are
+// renamed into place so a crash mid-write never leaves a truncated snapshot.
+export function fileBackend(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (code) => path.join(dir, `${code}.json`);
+
+  return {
+    loadAll() {
+      const out = [];
+      for (const f of fs.readdirSync(dir)) {
+        if (!f.endsWith(".json")) continue;
+        try {
+          out.push(JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")));
+        } catch (e) {
+          console.log("Skipping unreadable room file", f, e.message);
+        }
+      }
+      return out;
+    },
+
+    async save(code, data) {
+      const tmp = fileFor(code) + ".tmp";
+      await fsp.writeFile(tmp, JSON.stringify(data));
+      await fsp.rename(tmp, fileFor(code));
+    },
+
+    async remove(code) {
+      await fsp.rm(fileFor(code), { force: true });
+    }
+  };
+}
+
+// No persistence; rooms live only as long as the process.
+export function memoryBackend() {
+  return {
+    loadAll: () => [],
+    save: async () => {},
+    remove: async () => {}
+  };
+}
+
+export function createBackend(kind, dir) {
+  if (kind === "memory") return memoryBackend();
+  return fileBackend(dir);
+}
+
+/* ---- Serialization ----
+ * Maps and Sets are tagged so they round-trip; any key ending in "Timeout"
+ * holds a live timer handle and is dropped (the server rebuilds those on
+ * rehydrate).
+ */
+export function serializeRoom(room) {
+  return JSON.parse(
+    JSON.stringify(room, (key, value) => {
+      if (key.endsWith("Timeout")) return null;
+      if (value instanceof Map) return { $map: [...value.entries()] };
+      if (value instanceof Set) return { $set: [...value] };
+      return value;
+    })
+  );
+}
+
+export function deserializeRoom(data) {
+  const revive = (value) => {
+    if (Array.isArray(value)) return value.map(revive);
+    if (!value || typeof value !== "object") return value;
+    if (Array.isArray(value.$map)) return new Map(value.$map.map(([k, v]) => [k, revive(v)]));
+    if (Array.isArray(value.$set)) return new Set(value.$set.map(revive));
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = revive(v);
+    return out;
+  };
+  return revive(data);
+}
+
+/**
+ * Debounced writer around a backend. `schedule(code, snapshot)` coalesces
+ * bursts of mutations into one write per `delayMs`; `snapshot` is called at
+ * write time so the latest state is what lands on disk. Writes and removes
+ * for one code run one after another, so a save still in flight can't put a
+ * closed room's file back after `remove`.
+ */
+export function createStore(backend, delayMs = 250) {
+  const pending = new Map();
+  const queues = new Map();
+
+  const enqueue = (code, job) => {
+    const next = (queues.get(code) || Promise.resolve()).then(job);
+    queues.set(code, next);
+    next.then(() => {
+      if (queues.get(code) === next) queues.delete(code);
+    });
+    return next;
+  };
+
+  const write = (code, snapshot) => {
+    pending.delete(code);
+    return enqueue(code, () =>
+      backend.save(code, snapshot()).catch((e) => console.log("Room save failed", code, e.message))
+    );
+  };
+
+  return {
+    loadAll: () => backend.loadAll(),
+
+    schedule(code, snapshot) {
+      const prev = pending.get(code);
+      if (prev) clearTimeout(prev.timer);
+      const timer = setTimeout(() => write(code, snapshot), delayMs);
+      pending.set(code, { timer, snapshot });
+    },
+
+    remove(code) {
+      const prev = pending.get(code);
+      if (prev) clearTimeout(prev.timer);
+      pending.delete(code);
+      return enqueue(code, () =>
+        backend.remove(code).catch((e) => console.log("Room remove failed", code, e.message))
+      );
+    },
+
+    // Write everything still waiting on its debounce (used on shutdown).
+    flush() {
+      const jobs = [];
+      for (const [code, { timer, snapshot }] of pending) {
+        clearTimeout(timer);
+        jobs.push(write(code, snapshot));
+      }
+      return Promise.all([...jobs, ...queues.values()]);
+    }
+  };
+}
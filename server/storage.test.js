@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStore, serializeRoom, deserializeRoom } from "./storage.js";
+
+// A backend whose saves finish only when the test says so.
+function slowBackend() {
+  const files = new Map();
+  const log = [];
+  const gates = [];
+  return {
+    files,
+    log,
+    release: () => gates.shift()?.(),
+    loadAll: () => [...files.values()],
+    save(code, data) {
+      log.push(`save ${code}`);
+      return new Promise((resolve) => gates.push(resolve)).then(() => {
+        files.set(code, data);
+        log.push(`saved ${code}`);
+      });
+    },
+    async remove(code) {
+      files.delete(code);
+      log.push(`remove ${code}`);
+    }
+  };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("remove waits for a save already in flight", async () => {
+  const backend = slowBackend();
+  const store = createStore(backend, 0);
+  store.schedule("ABCD", () => ({ code: "ABCD" }));
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.deepEqual(backend.log, ["save ABCD"]);
+
+  const removed = store.remove("ABCD");
+  await tick();
+  assert.deepEqual(backend.log, ["save ABCD"]);
+
+  backend.release();
+  await removed;
+  assert.deepEqual(backend.log, ["save ABCD", "saved ABCD", "remove ABCD"]);
+  assert.equal(backend.files.has("ABCD"), false);
+});
+
+test("remove drops a save still waiting on its debounce", async () => {
+  const backend = slowBackend();
+  const store = createStore(backend, 20);
+  store.schedule("ABCD", () => ({ code: "ABCD" }));
+  await store.remove("ABCD");
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  assert.deepEqual(backend.log, ["remove ABCD"]);
+});
+
+test("Maps and Sets survive a round trip; timer handles don't", () => {
+  const room = { teams: new Map([["A", { score: 4 }]]), locked: new Set(["A"]), tossupTimeout: 12 };
+  const back = deserializeRoom(serializeRoom(room));
+  assert.deepEqual(back.teams, room.teams);
+  assert.deepEqual(back.locked, room.locked);
+  assert.equal(back.tossupTimeout, null);
+});
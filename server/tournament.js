@@ -0,0 +1,343 @@
+import { nanoid } from "nanoid";
+
+/* ---------------- Tournaments ----------------
+ * Plain data + pure helpers; the socket handlers in index.js own the rooms.
+ *
+ *   teams:  [{ id, name }]
+ *   pools:  [{ id, name, teamIds }]
+ *   rounds: [{ num, matches: [{ id, poolId, teamIds: [a, b], moderator,
+ *              roomCode, result }] }]
+ *
+ * `result` is copied from the room's own `match.result` once the room
+ * reaches match_over: { scores: { tournamentTeamId: points }, winnerId,
+ * tie, finishedAt }.
+ *
+ *   bracket: { format: "single" | "double", seeds: [teamId],
+ *              rounds: [{ num, name, side: "W" | "L" | "F", matches }] }
+ *
+ * Bracket matches carry `slots` saying where each side comes from
+ * ({ seed }, { winnerOf }, { loserOf }); `teamIds` is filled in from those
+ * by resolveBracket() as results arrive.
+ */
+
+export function newTournament({ id, name, settings }) {
+  return {
+    id,
+    name,
+    directorKey: nanoid(24),
+    settings,
+    createdAt: Date.now(),
+    teams: [],
+    pools: [],
+    rounds: [],
+    bracket: null
+  };
+}
+
+export function addTeams(t, names) {
+  const added = [];
+  for (const raw of names) {
+    const name = String(raw || "").trim().slice(0, 40);
+    if (!name || t.teams.some((x) => x.name.toLowerCase() === name.toLowerCase())) continue;
+    const team = { id: nanoid(6), name };
+    t.teams.push(team);
+    added.push(team);
+  }
+  return added;
+}
+
+// Snake seeding keeps pools balanced when teams are listed strongest first.
+export function makePools(teamIds, poolCount) {
+  const pools = Array.from({ length: poolCount }, (_, i) => ({
+    id: `P${i + 1}`,
+    name: `Pool ${String.fromCharCode(65 + i)}`,
+    teamIds: []
+  }));
+  teamIds.forEach((id, i) => {
+    const lap = Math.floor(i / poolCount);
+    const slot = i % poolCount;
+    pools[lap % 2 === 0 ? slot : poolCount - 1 - slot].teamIds.push(id);
+  });
+  return pools;
+}
+
+// Circle method: every team meets every other once. Odd pools get a bye
+// (null) that is dropped from the pairings.
+export function roundRobin(teamIds) {
+  const ids = teamIds.length % 2 ? [...teamIds, null] : [...teamIds];
+  const n = ids.length;
+  const rounds = [];
+  for (let r = 0; r < n - 1; r++) {
+    const pairs = [];
+    for (let i = 0; i < n / 2; i++) {
+      const a = ids[i];
+      const b = ids[n - 1 - i];
+      if (a && b) pairs.push([a, b]);
+    }
+    rounds.push(pairs);
+    ids.splice(1, 0, ids.pop());
+  }
+  return rounds;
+}
+
+// Pool play: round N holds round N of every pool's round robin.
+export function poolSchedule(pools) {
+  const perPool = pools.map((p) => roundRobin(p.teamIds));
+  const count = Math.max(0, ...perPool.map((r) => r.length));
+  const rounds = [];
+  for (let r = 0; r < count; r++) {
+    const matches = [];
+    perPool.forEach((poolRounds, i) => {
+      for (const teamIds of poolRounds[r] || []) {
+        matches.push({ id: nanoid(8), poolId: pools[i].id, teamIds, moderator: "", roomCode: null, result: null });
+      }
+    });
+    rounds.push({ num: r + 1, matches });
+  }
+  return rounds;
+}
+
+export function bracketMatches(t) {
+  return t.bracket ? t.bracket.rounds.flatMap((r) => r.matches) : [];
+}
+
+export function allMatches(t) {
+  return [...t.rounds.flatMap((r) => r.matches), ...bracketMatches(t)];
+}
+
+export function findMatch(t, matchId) {
+  return allMatches(t).find((m) => m.id === matchId) || null;
+}
+
+/* ---------------- Standings ----------------
+ * Pool play only; bracket games don't change a team's pool finish.
+ * Order: winning percentage (ties count half), then head-to-head among the
+ * teams still level, then points scored per game, then fewest points
+ * allowed per game, then name so the order is at least stable.
+ */
+const winPct = (r) => (r.played ? (r.wins + r.ties / 2) / r.played : 0);
+const perGame = (r, pts) => (r.played ? pts / r.played : 0);
+
+function records(teams, matches) {
+  const rows = new Map(
+    teams.map((team) => [
+      team.id,
+      { teamId: team.id, name: team.name, played: 0, wins: 0, losses: 0, ties: 0, pointsFor: 0, pointsAgainst: 0 }
+    ])
+  );
+
+  for (const m of matches) {
+    if (!m.result) continue;
+    const [a, b] = m.teamIds;
+    const ra = rows.get(a);
+    const rb = rows.get(b);
+    if (!ra || !rb) continue;
+    const sa = m.result.scores[a] ?? 0;
+    const sb = m.result.scores[b] ?? 0;
+
+    for (const [row, mine, theirs] of [[ra, sa, sb], [rb, sb, sa]]) {
+      row.played += 1;
+      row.pointsFor += mine;
+      row.pointsAgainst += theirs;
+      if (mine > theirs) row.wins += 1;
+      else if (mine < theirs) row.losses += 1;
+      else row.ties += 1;
+    }
+  }
+  return [...rows.values()];
+}
+
+// Head-to-head winning percentage of each team against the others in `ids`.
+function headToHead(ids, matches) {
+  const h2h = new Map([...ids].map((id) => [id, { played: 0, wins: 0, ties: 0 }]));
+  for (const m of matches) {
+    if (!m.result) continue;
+    const [a, b] = m.teamIds;
+    if (!ids.has(a) || !ids.has(b)) continue;
+    const sa = m.result.scores[a] ?? 0;
+    const sb = m.result.scores[b] ?? 0;
+    for (const [id, mine, theirs] of [[a, sa, sb], [b, sb, sa]]) {
+      const r = h2h.get(id);
+      r.played += 1;
+      if (mine > theirs) r.wins += 1;
+      else if (mine === theirs) r.ties += 1;
+    }
+  }
+  return new Map([...h2h].map(([id, r]) => [id, winPct(r)]));
+}
+
+const byPointsThenName = (x, y) =>
+  perGame(y, y.pointsFor) - perGame(x, x.pointsFor) ||
+  perGame(x, x.pointsAgainst) - perGame(y, y.pointsAgainst) ||
+  x.name.localeCompare(y.name);
+
+function rankRows(rows, matches) {
+  rows.sort((x, y) => winPct(y) - winPct(x));
+  const ranked = [];
+  for (let i = 0; i < rows.length; ) {
+    let j = i + 1;
+    while (j < rows.length && winPct(rows[j]) === winPct(rows[i])) j++;
+    const block = rows.slice(i, j);
+    if (block.length > 1) {
+      const h2h = headToHead(new Set(block.map((r) => r.teamId)), matches);
+      block.sort((x, y) => h2h.get(y.teamId) - h2h.get(x.teamId) || byPointsThenName(x, y));
+    }
+    ranked.push(...block);
+    i = j;
+  }
+  return ranked.map((r, i) => ({ ...r, rank: i + 1, winPct: winPct(r) }));
+}
+
+// One table per pool, or a single table of everyone before pools are drawn.
+export function poolStandings(t) {
+  const matches = t.rounds.flatMap((r) => r.matches);
+  if (!t.pools.length) return [{ poolId: null, name: "All teams", rows: rankRows(records(t.teams, matches), matches) }];
+  return t.pools.map((p) => {
+    const teams = p.teamIds.map((id) => t.teams.find((x) => x.id === id)).filter(Boolean);
+    return { poolId: p.id, name: p.name, rows: rankRows(records(teams, matches), matches) };
+  });
+}
+
+/* ---------------- Brackets ---------------- */
+const BYE = "bye";
+
+// Seeds: every pool winner first, then every runner-up, and so on. Teams on
+// the same line are ordered across pools without head-to-head (they mostly
+// haven't met).
+export function bracketSeeds(t, perPool) {
+  const seeds = [];
+  const tables = poolStandings(t);
+  const places = Math.min(perPool, Math.max(...tables.map((p) => p.rows.length)));
+  for (let place = 0; place < places; place++) {
+    const line = tables.map((p) => p.rows[place]).filter(Boolean);
+    line.sort((x, y) => y.winPct - x.winPct || byPointsThenName(x, y));
+    seeds.push(...line.map((r) => r.teamId));
+  }
+  return seeds;
+}
+
+// 1 v 8, 4 v 5, 2 v 7, 3 v 6: top seeds can only meet in later rounds.
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap((s) => [s, n + 1 - s]);
+  }
+  return order;
+}
+
+const bracketMatch = (slots, extra) => ({
+  id: nanoid(8),
+  slots,
+  teamIds: [null, null],
+  moderator: "",
+  roomCode: null,
+  result: null,
+  bye: false,
+  ...extra
+});
+
+function singleNames(count) {
+  const fromEnd = ["Final", "Semifinals", "Quarterfinals"];
+  return Array.from({ length: count }, (_, i) => fromEnd[count - 1 - i] || `Round ${i + 1}`);
+}
+
+export function buildBracket(seeds, format) {
+  let size = 2;
+  while (size < seeds.length) size *= 2;
+
+  const order = seedOrder(size);
+  const winners = [];
+  let prev = [];
+  for (let i = 0; i < size / 2; i++) prev.push(bracketMatch([{ seed: order[2 * i] }, { seed: order[2 * i + 1] }]));
+  winners.push(prev);
+  while (prev.length > 1) {
+    const next = [];
+    for (let i = 0; i < prev.length; i += 2) next.push(bracketMatch([{ winnerOf: prev[i].id }, { winnerOf: prev[i + 1].id }]));
+    winners.push(next);
+    prev = next;
+  }
+
+  const rounds = [];
+  if (format !== "double") {
+    singleNames(winners.length).forEach((name, i) => rounds.push({ name, side: "W", matches: winners[i] }));
+  } else {
+    winners.forEach((matches, i) =>
+      rounds.push({ name: i === winners.length - 1 ? "Winners final" : `Winners R${i + 1}`, side: "W", matches })
+    );
+
+    // Losers bracket: first-round losers play each other, then each later
+    // round takes the teams dropping out of the next winners round (in
+    // reverse order, to put off rematches) and halves the field.
+    const losers = [];
+    let alive = [];
+    const w1 = winners[0];
+    for (let i = 0; i < w1.length; i += 2) alive.push(bracketMatch([{ loserOf: w1[i].id }, { loserOf: w1[i + 1].id }]));
+    losers.push(alive);
+    for (let w = 1; w < winners.length; w++) {
+      const dropping = [...winners[w]].reverse();
+      alive = alive.map((m, i) => bracketMatch([{ winnerOf: m.id }, { loserOf: dropping[i].id }]));
+      losers.push(alive);
+      if (alive.length > 1) {
+        const next = [];
+        for (let i = 0; i < alive.length; i += 2) next.push(bracketMatch([{ winnerOf: alive[i].id }, { winnerOf: alive[i + 1].id }]));
+        losers.push(next);
+        alive = next;
+      }
+    }
+    losers.forEach((matches, i) =>
+      rounds.push({ name: i === losers.length - 1 ? "Losers final" : `Losers R${i + 1}`, side: "L", matches })
+    );
+
+    // The losers-bracket champion has to beat the unbeaten team twice.
+    const final = bracketMatch([{ winnerOf: winners.at(-1)[0].id }, { winnerOf: alive[0].id }]);
+    const reset = bracketMatch([{ winnerOf: final.id }, { loserOf: final.id }], { resetOf: final.id });
+    rounds.push({ name: "Grand final", side: "F", matches: [final] });
+    rounds.push({ name: "Grand final (if necessary)", side: "F", matches: [reset] });
+  }
+
+  return { format: format === "double" ? "double" : "single", seeds, rounds: rounds.map((r, i) => ({ num: i + 1, ...r })) };
+}
+
+// Fill in teams from seeds and results. A side with no team (past the last
+// seed, or the loser of a bye) is a bye and the other team walks through.
+// Matches whose room is already open keep the teams they were opened with.
+export function resolveBracket(t) {
+  if (!t.bracket) return;
+  const out = new Map();
+  const pick = (src) => {
+    if (src.seed) return t.bracket.seeds[src.seed - 1] || BYE;
+    const o = out.get(src.winnerOf || src.loserOf);
+    return o && (src.winnerOf ? o.winner : o.loser);
+  };
+
+  for (const m of bracketMatches(t)) {
+    const [a, b] = m.slots.map(pick);
+    if (!m.roomCode) m.teamIds = [a, b].map((x) => (x && x !== BYE ? x : null));
+    m.bye = false;
+
+    if (m.resetOf) {
+      const first = out.get(m.resetOf);
+      if (!first) continue;
+      if (first.winner === findMatch(t, m.resetOf).teamIds[0]) {
+        m.bye = true;
+        out.set(m.id, first);
+        continue;
+      }
+    }
+
+    if (!a || !b) continue;
+    if (a === BYE || b === BYE) {
+      m.bye = true;
+      out.set(m.id, { winner: a === BYE ? b : a, loser: BYE });
+      continue;
+    }
+    const winner = m.result?.winnerId;
+    if (winner) out.set(m.id, { winner, loser: m.teamIds.find((id) => id !== winner) });
+  }
+
+  const last = bracketMatches(t).filter((m) => out.has(m.id)).at(-1);
+  const lastRound = t.bracket.rounds.at(-1).matches[0];
+  const champion = last === lastRound ? out.get(last.id).winner : null;
+  t.bracket.championId = champion && champion !== BYE ? champion : null;
+}
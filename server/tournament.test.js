@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  makePools,
+  roundRobin,
+  poolStandings,
+  bracketSeeds,
+  buildBracket,
+  resolveBracket,
+  bracketMatches
+} from "./tournament.js";
+
+const teams = (...names) => names.map((name) => ({ id: name, name }));
+
+function result(teamIds, [sa, sb]) {
+  const [a, b] = teamIds;
+  return { scores: { [a]: sa, [b]: sb }, winnerId: sa > sb ? a : sb > sa ? b : null, tie: sa === sb };
+}
+
+// A tournament with one pool-play round holding the given games.
+function withGames(names, games) {
+  return {
+    teams: teams(...names),
+    pools: [],
+    rounds: [{ num: 1, matches: games.map(([a, b, sa, sb]) => ({ teamIds: [a, b], result: result([a, b], [sa, sb]) })) }],
+    bracket: null
+  };
+}
+
+const order = (t) => poolStandings(t)[0].rows.map((r) => r.teamId);
+
+// Record `winner` as the winner of the bracket match with `winner` in it.
+function play(t, round, index, winner) {
+  const m = t.bracket.rounds[round].matches[index];
+  assert.ok(m.teamIds.includes(winner), `${winner} isn't in ${m.teamIds}`);
+  const loser = m.teamIds.find((id) => id !== winner);
+  m.result = result([winner, loser], [100, 50]);
+  resolveBracket(t);
+}
+
+test("pools are snake seeded", () => {
+  const pools = makePools(["1", "2", "3", "4", "5", "6"], 2);
+  assert.deepEqual(pools.map((p) => p.teamIds), [["1", "4", "5"], ["2", "3", "6"]]);
+});
+
+test("a round robin pairs every team once and gives odd pools a bye", () => {
+  const rounds = roundRobin(["A", "B", "C", "D", "E"]);
+  assert.equal(rounds.length, 5);
+  const pairs = rounds.flat().map((p) => [...p].sort().join());
+  assert.equal(pairs.length, 10);
+  assert.equal(new Set(pairs).size, 10);
+});
+
+test("standings go by winning percentage with ties counting half", () => {
+  const t = withGames(["A", "B", "C"], [["A", "B", 100, 50], ["B", "C", 60, 60], ["C", "A", 70, 40]]);
+  const rows = poolStandings(t)[0].rows;
+  assert.deepEqual(rows.map((r) => [r.teamId, r.winPct]), [["C", 0.75], ["A", 0.5], ["B", 0.25]]);
+});
+
+test("head-to-head breaks a two-way tie before points", () => {
+  // A and B both go 1-1; B scored more but lost to A.
+  const t = withGames(["A", "B", "C", "D"], [["A", "B", 50, 40], ["B", "C", 300, 0], ["D", "A", 60, 50], ["C", "D", 10, 20]]);
+  assert.deepEqual(order(t), ["D", "A", "B", "C"]);
+});
+
+test("points per game, then fewest allowed, break what head-to-head can't", () => {
+  // A three-way cycle: every team is 1-1 and 1-1 head to head.
+  const cycle = withGames(["A", "B", "C"], [["A", "B", 100, 90], ["B", "C", 200, 10], ["C", "A", 80, 70]]);
+  assert.deepEqual(order(cycle), ["B", "A", "C"]);
+
+  // Same again with 95 points a game each; B allowed the fewest.
+  const even = withGames(["A", "B", "C"], [["A", "B", 100, 90], ["B", "C", 100, 80], ["C", "A", 110, 90]]);
+  assert.deepEqual(order(even), ["B", "C", "A"]);
+});
+
+test("bracket seeds take pool winners before runners-up", () => {
+  const t = {
+    teams: teams("A", "B", "C", "D"),
+    pools: [
+      { id: "P1", name: "Pool A", teamIds: ["A", "B"] },
+      { id: "P2", name: "Pool B", teamIds: ["C", "D"] }
+    ],
+    rounds: [{ num: 1, matches: [{ teamIds: ["A", "B"], result: result(["A", "B"], [90, 80]) }, { teamIds: ["C", "D"], result: result(["C", "D"], [10, 200]) }] }],
+    bracket: null
+  };
+  assert.deepEqual(bracketSeeds(t, 2), ["D", "A", "B", "C"]);
+  assert.deepEqual(bracketSeeds(t, 1), ["D", "A"]);
+});
+
+test("a single-elimination bracket seeds 1 v 4 and 2 v 3 and crowns the final's winner", () => {
+  const t = { rounds: [], bracket: buildBracket(["A", "B", "C", "D"], "single") };
+  resolveBracket(t);
+  assert.deepEqual(t.bracket.rounds.map((r) => r.name), ["Semifinals", "Final"]);
+  assert.deepEqual(t.bracket.rounds[0].matches.map((m) => m.teamIds), [["A", "D"], ["B", "C"]]);
+
+  play(t, 0, 0, "D");
+  play(t, 0, 1, "B");
+  assert.deepEqual(t.bracket.rounds[1].matches[0].teamIds, ["D", "B"]);
+  assert.equal(t.bracket.championId, null);
+  play(t, 1, 0, "B");
+  assert.equal(t.bracket.championId, "B");
+});
+
+test("missing seeds are byes that top seeds walk through", () => {
+  const t = { rounds: [], bracket: buildBracket(["A", "B", "C"], "single") };
+  resolveBracket(t);
+  const [first, second] = t.bracket.rounds[0].matches;
+  assert.equal(first.bye, true);
+  assert.deepEqual(first.teamIds, ["A", null]);
+  assert.equal(second.bye, false);
+  play(t, 0, 1, "C");
+  assert.deepEqual(t.bracket.rounds[1].matches[0].teamIds, ["A", "C"]);
+});
+
+test("double elimination: the unbeaten team wins the title in one grand final", () => {
+  const t = { rounds: [], bracket: buildBracket(["A", "B", "C", "D"], "double") };
+  resolveBracket(t);
+  const names = t.bracket.rounds.map((r) => r.name);
+  assert.deepEqual(names, ["Winners R1", "Winners final", "Losers R1", "Losers final", "Grand final", "Grand final (if necessary)"]);
+
+  play(t, 0, 0, "A");
+  play(t, 0, 1, "B");
+  assert.deepEqual(t.bracket.rounds[2].matches[0].teamIds, ["D", "C"]);
+  play(t, 1, 0, "A");
+  play(t, 2, 0, "C");
+  assert.deepEqual(t.bracket.rounds[3].matches[0].teamIds, ["C", "B"]);
+  play(t, 3, 0, "B");
+  assert.deepEqual(t.bracket.rounds[4].matches[0].teamIds, ["A", "B"]);
+
+  play(t, 4, 0, "A");
+  assert.equal(t.bracket.rounds[5].matches[0].bye, true);
+  assert.equal(t.bracket.championId, "A");
+});
+
+test("double elimination: the losers-bracket team forces and wins a reset", () => {
+  const t = { rounds: [], bracket: buildBracket(["A", "B", "C", "D"], "double") };
+  resolveBracket(t);
+  play(t, 0, 0, "A");
+  play(t, 0, 1, "B");
+  play(t, 1, 0, "A");
+  play(t, 2, 0, "C");
+  play(t, 3, 0, "B");
+  play(t, 4, 0, "B");
+
+  const reset = t.bracket.rounds[5].matches[0];
+  assert.equal(reset.bye, false);
+  assert.deepEqual(reset.teamIds, ["B", "A"]);
+  assert.equal(t.bracket.championId, null);
+  play(t, 5, 0, "B");
+  assert.equal(t.bracket.championId, "B");
+  assert.equal(bracketMatches(t).filter((m) => m.result).length, 7);
+});